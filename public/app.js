@@ -47,35 +47,57 @@ function showError(message) {
  ************************************/
 const STORAGE_KEY = "rwjStationsV1";
 const DATA_CACHE_KEY = "rwjDataCacheV1";
+// Last successful payload, kept indefinitely for offline use
+const LAST_GOOD_KEY = "rwjLastGoodV1";
+const PROFILE_KEY = "rwjMinimumsProfileV1";
+const XWIND_LIMIT_KEY = "rwjXwindLimitV1";
+const ROUTE_KEY = "rwjRouteV1";
+const NOTIFY_KEY = "rwjNotifyV1";
+const NOTIFY_STATE_KEY = "rwjNotifyStateV1";
+const ACK_NAME_KEY = "rwjAckNameV1";
+const AGE_LIMITS_KEY = "rwjAgeLimitsV1";
 const DATA_TTL_MS = 10 * 60 * 1000; // 10 minutes
 const IFR_LOOKAHEAD_HOURS = 6;
+const HISTORY_HOURS = 6;
 
+// Default observation age limits (minutes); each device can change them
 const AGE_FRESH_MIN = 30;
 const AGE_STALE_MIN = 90;
 
 /************************************
  * Defaults + user airports
  ************************************/
+// Non-TAF fields borrow a nearby TAF out of the box
+const DEFAULT_TAF_OVERRIDE = {
+  KMJX: "KWRI",
+  KSMQ: "KTTN"
+};
+
 const DEFAULT_STATIONS = [
-  { id: "KMJX", name: "Ocean County Airport" },
-  { id: "KWRI", name: "McGuire" },
-  { id: "KACY", name: "Atlantic City" },
-  { id: "KSMQ", name: "Somerset" },
-  { id: "KPHL", name: "Philadelphia" }
+  { id: "KMJX", name: "Ocean County Airport", tafFrom: "KWRI" },
+  { id: "KWRI", name: "McGuire", tafFrom: null },
+  { id: "KACY", name: "Atlantic City", tafFrom: null },
+  { id: "KSMQ", name: "Somerset", tafFrom: "KTTN" },
+  { id: "KPHL", name: "Philadelphia", tafFrom: null }
 ];
 
 function loadStationsFromStorage() {
   try {
     const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return DEFAULT_STATIONS;
+    if (!raw) return DEFAULT_STATIONS.map(s => ({ ...s }));
     const parsed = JSON.parse(raw);
-    if (!Array.isArray(parsed) || parsed.length === 0) return DEFAULT_STATIONS;
+    if (!Array.isArray(parsed) || parsed.length === 0) return DEFAULT_STATIONS.map(s => ({ ...s }));
 
     return parsed
-      .map(s => ({ id: norm(s.id), name: (s.name || norm(s.id)) }))
+      .map(s => ({
+        id: norm(s.id),
+        name: (s.name || norm(s.id)),
+        // Lists saved before overrides were editable get the old built-in ones
+        tafFrom: "tafFrom" in s ? (s.tafFrom ? norm(s.tafFrom) : null) : (DEFAULT_TAF_OVERRIDE[norm(s.id)] || null)
+      }))
       .filter(s => s.id && s.id.length >= 3);
   } catch {
-    return DEFAULT_STATIONS;
+    return DEFAULT_STATIONS.map(s => ({ ...s }));
   }
 }
 
@@ -90,19 +112,230 @@ let stations = loadStationsFromStorage();
 /************************************
  * TAF overrides
  ************************************/
-const tafOverride = {
-  KMJX: "KWRI",
-  KSMQ: "KTTN"
-};
+// Station id -> station whose TAF its timeline borrows. Built from the
+// station list (tafFrom), so it is saved wherever the list is saved.
+const tafOverride = {};
+
+function rebuildTafOverride() {
+  Object.keys(tafOverride).forEach(k => delete tafOverride[k]);
+  stations.forEach(s => {
+    if (s.tafFrom) tafOverride[norm(s.id)] = norm(s.tafFrom);
+  });
+}
+
+function setTafOverride(id, target) {
+  const st = stations.find(s => norm(s.id) === norm(id));
+  if (!st) return;
+  const t = norm(target || "");
+  st.tafFrom = t && t !== norm(st.id) ? t : null;
+  saveStations(stations);
+}
+
+rebuildTafOverride();
 
 /************************************
- * ASOS fallback config
+ * Boards (shared station lists)
  ************************************/
-const ASOS_NETWORK = "NJ_ASOS";
-const toAsosId = (icao) => {
-  const s = norm(icao);
-  return s.startsWith("K") && s.length === 4 ? s.slice(1) : s;
-};
+// ?board=<id> selects a server-side board; without it the personal list is used
+const activeBoardId = new URLSearchParams(location.search).get("board") || "";
+let activeBoard = null;
+
+async function loadActiveBoard() {
+  if (!activeBoardId) return;
+  const res = await fetch(`/api/boards/${encodeURIComponent(activeBoardId)}`);
+  if (!res.ok) {
+    throw new Error(res.status === 404 ? `Board "${activeBoardId}" not found` : `Board fetch failed (${res.status})`);
+  }
+  activeBoard = await res.json();
+
+  const overrides = activeBoard.tafOverride || {};
+  stations = activeBoard.stations.map(s => ({
+    id: norm(s.id),
+    name: s.name || norm(s.id),
+    tafFrom: overrides[norm(s.id)] || null
+  }));
+  rebuildTafOverride();
+  // Boards pin their minimums; the select can still switch it until the next load
+  if (activeBoard.profile) minimumsProfileId = activeBoard.profile;
+}
+
+async function putBoard(board) {
+  const res = await fetch(`/api/boards/${encodeURIComponent(board.id)}`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      name: board.name,
+      stations: board.stations,
+      tafOverride: board.tafOverride,
+      profile: board.profile
+    })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
+
+// Board edits go to the server; the personal list stays on this device
+function saveStations(sts) {
+  rebuildTafOverride();
+  if (!activeBoard) {
+    saveStationsToStorage(sts);
+    return;
+  }
+  localStorage.removeItem(DATA_CACHE_KEY);
+  activeBoard.stations = sts.map(s => ({ id: norm(s.id), name: s.name }));
+  activeBoard.tafOverride = Object.fromEntries(sts.filter(s => s.tafFrom).map(s => [norm(s.id), norm(s.tafFrom)]));
+  putBoard(activeBoard).catch(err => alert(`Could not save board: ${err.message}`));
+}
+
+function selectBoard(id) {
+  const url = new URL(location.href);
+  if (id) url.searchParams.set("board", id);
+  else url.searchParams.delete("board");
+  location.assign(url.toString());
+}
+
+async function loadBoardList() {
+  const select = $("board-select");
+  if (!select) return;
+
+  let boards = [];
+  try {
+    const res = await fetch("/api/boards");
+    if (res.ok) boards = await res.json();
+  } catch (err) {
+    console.warn("Failed to load boards:", err);
+  }
+
+  select.replaceChildren();
+  const personal = document.createElement("option");
+  personal.value = "";
+  personal.textContent = "Personal";
+  select.appendChild(personal);
+
+  boards.forEach(b => {
+    const opt = document.createElement("option");
+    opt.value = b.id;
+    opt.textContent = b.name;
+    select.appendChild(opt);
+  });
+  select.value = activeBoard ? activeBoard.id : "";
+}
+
+async function createBoardFromCurrent() {
+  const name = window.prompt("Board name (shared with everyone):", activeBoard ? `${activeBoard.name} copy` : "");
+  if (!name || !name.trim()) return;
+
+  const res = await fetch("/api/boards", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      name: name.trim(),
+      stations: stations.map(s => ({ id: norm(s.id), name: s.name })),
+      tafOverride,
+      profile: minimumsProfileId || null
+    })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  selectBoard(data.id);
+}
+
+async function deleteActiveBoard() {
+  if (!activeBoard) return;
+  if (!confirm(`Delete the shared board "${activeBoard.name}" for everyone?`)) return;
+  const res = await fetch(`/api/boards/${encodeURIComponent(activeBoard.id)}`, { method: "DELETE" });
+  if (!res.ok && res.status !== 404) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || `HTTP ${res.status}`);
+  }
+  selectBoard("");
+}
+
+/************************************
+ * Minimums profile (server-defined)
+ ************************************/
+// "" = categories only, no minimums evaluation
+let minimumsProfileId = localStorage.getItem(PROFILE_KEY);
+
+const GO_LABELS = { go: "GO", marginal: "MARGINAL", nogo: "NO-GO", unk: "UNK" };
+
+async function loadMinimumsProfiles() {
+  const select = $("minimums-select");
+  if (!select) return;
+
+  let data = { default: null, profiles: [] };
+  try {
+    const r = await fetch("/api/minimums");
+    if (r.ok) data = await r.json();
+  } catch (err) {
+    console.warn("Failed to load minimums profiles:", err);
+  }
+
+  const profiles = Array.isArray(data.profiles) ? data.profiles : [];
+  if (minimumsProfileId == null || (minimumsProfileId && !profiles.some(p => p.id === minimumsProfileId))) {
+    minimumsProfileId = data.default || "";
+  }
+
+  select.replaceChildren();
+  const none = document.createElement("option");
+  none.value = "";
+  none.textContent = "Categories only";
+  select.appendChild(none);
+
+  profiles.forEach(p => {
+    const opt = document.createElement("option");
+    opt.value = p.id;
+    opt.textContent = p.name;
+    opt.title = [p.description, profileLimitsText(p)].filter(Boolean).join("\n");
+    select.appendChild(opt);
+  });
+  select.value = minimumsProfileId;
+}
+
+function profileLimitsText(p) {
+  const lim = (l) => (l ? `${l.ceilFt}ft / ${l.visSm}sm` : "--");
+  const parts = [`Day ${lim(p.day)}`, `Night ${lim(p.night)}`];
+  if (p.marginal) parts.push(`Marginal within +${p.marginal.ceilFt || 0}ft / +${p.marginal.visSm || 0}sm`);
+  if (typeof p.maxWindKt === "number") parts.push(`Max wind ${p.maxWindKt}kt`);
+  if (typeof p.maxGustKt === "number") parts.push(`Max gust ${p.maxGustKt}kt`);
+  return parts.join(" · ");
+}
+
+function setMinimumsProfile(id) {
+  minimumsProfileId = id || "";
+  localStorage.setItem(PROFILE_KEY, minimumsProfileId);
+  // Evaluations are profile-specific => invalidate data cache
+  localStorage.removeItem(DATA_CACHE_KEY);
+}
+
+function minimumsTooltip(m) {
+  if (!m) return null;
+  const label = GO_LABELS[m.status] || "UNK";
+  const reasons = Array.isArray(m.reasons) && m.reasons.length ? ` (${m.reasons.join(", ")})` : "";
+  const limit = m.limit ? `${m.period}: ${m.limit.ceilFt}ft / ${m.limit.visSm}sm` : "";
+  return `Minimums: ${label}${reasons}${limit ? `\n${limit}` : ""}`;
+}
+
+/************************************
+ * Crosswind limit (per device)
+ ************************************/
+const DEFAULT_XWIND_LIMIT_KT = 15;
+
+function loadXwindLimit() {
+  const raw = localStorage.getItem(XWIND_LIMIT_KEY);
+  const n = Number(raw);
+  return raw && Number.isFinite(n) && n >= 0 ? n : DEFAULT_XWIND_LIMIT_KT;
+}
+
+let xwindLimitKt = loadXwindLimit();
+
+function setXwindLimit(kt) {
+  const n = Number(kt);
+  if (!Number.isFinite(n) || n < 0) return;
+  xwindLimitKt = Math.round(n);
+  localStorage.setItem(XWIND_LIMIT_KEY, String(xwindLimitKt));
+}
 
 /************************************
  * Expand/collapse state
@@ -143,6 +376,58 @@ function updateTime() {
 updateTime();
 setInterval(updateTime, 60000);
 
+/************************************
+ * Server status (header indicator)
+ * Tells plumbing apart from weather: a blank card with a green
+ * indicator means the station has no report, not that we lost AWC/IEM.
+ ************************************/
+const STATUS_POLL_MS = 60 * 1000;
+const STATUS_LABELS = { ok: "Data OK", degraded: "Data degraded", down: "Data down", unknown: "Data" };
+let serverStatus = null;
+
+function describeServerStatus(status) {
+  if (!status) return "Status unavailable (server unreachable)";
+  return status.upstreams.map(u => {
+    const parts = [`${u.label}: ${u.state}`];
+    if (u.lastSuccessAt) parts.push(`last OK ${formatAgeText(minutesSince(u.lastSuccessAt))}`);
+    if (u.latencyMs?.p50 != null) parts.push(`p50 ${u.latencyMs.p50} ms`);
+    if (u.errorRate != null) parts.push(`${Math.round(u.errorRate * 100)}% errors`);
+    if (u.cache?.hitRatio != null) parts.push(`${Math.round(u.cache.hitRatio * 100)}% cached`);
+    if (u.state !== "ok" && u.lastError) parts.push(`last error: ${u.lastError}`);
+    return parts.join(", ");
+  }).join("\n");
+}
+
+function renderServerStatus() {
+  const el = $("server-status");
+  if (!el) return;
+  const state = serverStatus ? serverStatus.status : "down";
+  el.className = `server-status status-${state}`;
+  el.textContent = STATUS_LABELS[state] || STATUS_LABELS.unknown;
+  el.title = describeServerStatus(serverStatus);
+}
+
+async function loadServerStatus() {
+  try {
+    const res = await fetch("/api/status");
+    if (!res.ok) throw new Error(`Status failed (${res.status})`);
+    serverStatus = await res.json();
+  } catch (err) {
+    console.warn("Status unavailable:", err);
+    serverStatus = null;
+  }
+  renderServerStatus();
+}
+
+function initServerStatus() {
+  // title tooltips don't show on touch screens
+  $("server-status")?.addEventListener("click", () => alert(describeServerStatus(serverStatus)));
+  loadServerStatus();
+  setInterval(() => {
+    if (document.visibilityState === "visible") loadServerStatus();
+  }, STATUS_POLL_MS);
+}
+
 /************************************
  * Age display
  ************************************/
@@ -161,25 +446,84 @@ function formatAgeText(mins) {
   return `${h}h ago`;
 }
 
+/************************************
+ * Observation age limits (per device)
+ * Past staleMin an observation no longer sets the category
+ ************************************/
+function loadAgeLimits() {
+  try {
+    const obj = JSON.parse(localStorage.getItem(AGE_LIMITS_KEY) || "null");
+    const fresh = Number(obj?.freshMin);
+    const stale = Number(obj?.staleMin);
+    if (Number.isFinite(fresh) && Number.isFinite(stale) && fresh > 0 && stale > fresh) {
+      return { freshMin: fresh, staleMin: stale };
+    }
+  } catch {
+    // fall through to defaults
+  }
+  return { freshMin: AGE_FRESH_MIN, staleMin: AGE_STALE_MIN };
+}
+
+let ageLimits = loadAgeLimits();
+
+// Keeps fresh < stale; returns false (and changes nothing) otherwise
+function setAgeLimits(freshMin, staleMin) {
+  const fresh = Math.round(Number(freshMin));
+  const stale = Math.round(Number(staleMin));
+  if (!Number.isFinite(fresh) || !Number.isFinite(stale) || fresh <= 0 || stale <= fresh) return false;
+  ageLimits = { freshMin: fresh, staleMin: stale };
+  localStorage.setItem(AGE_LIMITS_KEY, JSON.stringify(ageLimits));
+  return true;
+}
+
+function isStaleAge(mins) {
+  return mins != null && mins > ageLimits.staleMin;
+}
+
+// mins undefined: the card has no observation at all
+function showObsAge(el, mins) {
+  el.classList.remove("age-fresh", "age-aging", "age-stale");
+  if (mins === undefined) {
+    el.textContent = "No observation";
+    return;
+  }
+  el.textContent = `${el.dataset.source} ${formatAgeText(mins)}${el.dataset.stale ? " — stale, not used" : ""}`;
+  const cls = ageClass(mins);
+  if (cls) el.classList.add(cls);
+}
+
+// Ages move on between fetches; a card whose report crosses the
+// stale limit is re-rendered so it can fall back or go UNK
+function tickObsAges() {
+  let crossed = false;
+  document.querySelectorAll("#airport-list .js-age[data-time]").forEach(el => {
+    const mins = minutesSince(el.dataset.time);
+    if (isStaleAge(mins) !== Boolean(el.dataset.stale)) crossed = true;
+    showObsAge(el, mins);
+  });
+  if (crossed && currentPayload) renderFromPayload(currentPayload);
+}
+setInterval(tickObsAges, 60000);
+
+function ageClass(mins) {
+  if (mins == null) return "";
+  if (isStaleAge(mins)) return "age-stale";
+  if (mins >= ageLimits.freshMin) return "age-aging";
+  return "age-fresh";
+}
+
 
 /************************************
  * Obs helpers
  ************************************/
+// null = not reported (never a guessed 10sm)
 function parseVisibility(visib) {
-  if (typeof visib === "number") return visib;
+  if (typeof visib === "number") return Number.isFinite(visib) ? visib : null;
   if (typeof visib === "string") {
     const n = parseFloat(visib.replace("+", ""));
-    return Number.isFinite(n) ? n : 10;
+    return Number.isFinite(n) ? n : null;
   }
-  return 10;
-}
-
-function ceilingFromMetarClouds(clouds = []) {
-  const ceilings = (clouds || [])
-    .filter(l => l && (l.cover === "BKN" || l.cover === "OVC" || l.cover === "VV"))
-    .map(l => l.base)
-    .filter(v => typeof v === "number" && Number.isFinite(v));
-  return ceilings.length ? Math.min(...ceilings) : null;
+  return null;
 }
 
 function ceilingFromAsos(asosRow) {
@@ -210,6 +554,107 @@ function flightCategoryFromObs(visSm, ceilFt) {
   return "vfr";
 }
 
+// Payloads cached before the server sent categories: only trust complete reports
+function fallbackCategory(vis, ceil, ceilState) {
+  if (vis == null || ceilState === "missing") return "unk";
+  return flightCategoryFromObs(vis, ceil ?? Infinity);
+}
+
+function formatCeiling(ceil, ceilState) {
+  if (ceil != null) return `${ceil.toLocaleString()}ft`;
+  return ceilState === "unlimited" ? "UNL" : "--";
+}
+
+function formatVisibility(vis) {
+  return vis != null ? `${vis.toFixed(vis % 1 === 0 ? 0 : 1)}sm` : "--";
+}
+
+function capitalize(text) {
+  return text ? text[0].toUpperCase() + text.slice(1) : text;
+}
+
+const CATEGORY_RANK = { unk: 0, vfr: 1, mvfr: 2, ifr: 3, lifr: 4 };
+
+// TEMPO / PROB group for this hour, only if it is worse than prevailing
+function worseTemporary(h) {
+  const w = h?.worst;
+  if (!w || !w.cat) return null;
+  const wc = w.cat.toLowerCase();
+  const pc = (h.cat || "unk").toLowerCase();
+  return (CATEGORY_RANK[wc] || 0) > (CATEGORY_RANK[pc] || 0) ? w : null;
+}
+
+/************************************
+ * Runway wind components
+ ************************************/
+const DEG = Math.PI / 180;
+
+// Directions to check for the worst crosswind (variable range or VRB = all round)
+function windArc(dir, variable, varFrom, varTo) {
+  if (variable || typeof dir !== "number") {
+    return Array.from({ length: 36 }, (_, i) => i * 10);
+  }
+  if (typeof varFrom === "number" && typeof varTo === "number") {
+    const span = (varTo - varFrom + 360) % 360;
+    const arc = [dir];
+    for (let d = 0; d <= span; d += 10) arc.push((varFrom + d) % 360);
+    arc.push(varTo);
+    return arc;
+  }
+  return [dir];
+}
+
+/*
+  Best-aligned runway end for a wind (most headwind, then least crosswind).
+  wind: { dir, speed, gust, variable, varFrom, varTo } (degrees true / knots)
+  Returns { runway, headwind, crosswind, gustCrosswind, side, approx } or null;
+  approx = the runway heading is a magnetic fallback (see server Runways).
+  Crosswinds use the worst direction in a variable range; VRB or unknown
+  direction is treated as a full crosswind.
+*/
+function bestRunwayWind(runways, wind) {
+  if (!Array.isArray(runways) || !wind || typeof wind.speed !== "number") return null;
+  const ends = runways.flatMap(r => (r.ends || []).filter(e => typeof e.headingDegT === "number"));
+  if (!ends.length) return null;
+
+  const { dir, speed, gust, variable, varFrom, varTo } = wind;
+  const knownDir = !variable && typeof dir === "number";
+  const peak = typeof gust === "number" && gust > speed ? gust : speed;
+  const arc = windArc(dir, variable, varFrom, varTo);
+
+  let best = null;
+  for (const e of ends) {
+    const angle = knownDir ? (dir - e.headingDegT) * DEG : Math.PI / 2;
+    const worstSin = Math.max(...arc.map(d => Math.abs(Math.sin((d - e.headingDegT) * DEG))));
+    const result = {
+      runway: e.ident,
+      headwind: knownDir ? Math.round(speed * Math.cos(angle)) : 0,
+      crosswind: Math.round(speed * worstSin),
+      gustCrosswind: Math.round(peak * worstSin),
+      side: knownDir ? (Math.sin(angle) >= 0 ? "R" : "L") : null,
+      approx: Boolean(e.headingApprox)
+    };
+    if (!best ||
+        result.headwind > best.headwind ||
+        (result.headwind === best.headwind && result.gustCrosswind < best.gustCrosswind)) {
+      best = result;
+    }
+  }
+  return best;
+}
+
+function formatRunwayWind(c) {
+  const along = c.headwind >= 0 ? `${c.headwind} HW` : `${-c.headwind} TW`;
+  const side = c.side ? ` ${c.side}` : "";
+  const gust = c.gustCrosswind > c.crosswind ? ` (G${c.gustCrosswind})` : "";
+  const approx = c.approx ? " (approx., magnetic heading)" : "";
+  return `Rwy ${c.runway}: ${along}, ${c.crosswind} XW${side}${gust}${approx}`;
+}
+
+function exceedsXwind(c) {
+  return Boolean(c) && c.gustCrosswind > xwindLimitKt;
+}
+
 /************************************
  * Timeline rendering
  ************************************/
@@ -219,7 +664,7 @@ function formatHour(iso) {
   return `${hh}:00`;
 }
 
-function renderTimelineInto(containerEl, timeline) {
+function renderTimelineInto(containerEl, timeline, runways = []) {
   if (!containerEl) {
     console.warn("renderTimelineInto: containerEl is null");
     return;
@@ -246,6 +691,21 @@ function renderTimelineInto(containerEl, timeline) {
     catEl.textContent = label;
     catEl.classList.add(cat);
 
+    const worst = worseTemporary(h);
+    const worstEl = tickEl.querySelector(".tick-worst");
+    if (worstEl && worst) {
+      const wc = worst.cat.toLowerCase();
+      worstEl.textContent = `${worst.type} ${wc.toUpperCase()}`;
+      worstEl.classList.add(wc);
+    }
+
+    const goEl = tickEl.querySelector(".tick-go");
+    if (goEl && h.minimums) {
+      const status = h.minimums.status || "unk";
+      goEl.textContent = GO_LABELS[status] || "UNK";
+      goEl.classList.add(`status-${status}`);
+    }
+
     // Build tooltip with detailed information for this specific hour
     // Access properties directly from the timeline item
     const tooltipParts = [];
@@ -256,7 +716,7 @@ function renderTimelineInto(containerEl, timeline) {
       const visText = vis % 1 === 0 ? String(Math.round(vis)) : vis.toFixed(1);
       tooltipParts.push(`Visibility: ${visText}sm`);
     } else {
-      tooltipParts.push("Visibility: —");
+      tooltipParts.push("Visibility: not reported");
     }
     
     // Ceiling
@@ -264,7 +724,10 @@ function renderTimelineInto(containerEl, timeline) {
     if (ceil != null && typeof ceil === "number" && !isNaN(ceil) && isFinite(ceil) && ceil > 0) {
       tooltipParts.push(`Ceiling: ${Math.round(ceil).toLocaleString()}ft`);
     } else {
-      tooltipParts.push("Ceiling: —");
+      tooltipParts.push(h.ceilState === "missing" ? "Ceiling: not reported" : "Ceiling: none");
+    }
+    if ((h.cat || "unk").toLowerCase() === "unk" && h.reasons?.length) {
+      tooltipParts.push(`Unknown: ${h.reasons.join(", ")}`);
     }
     
     // Wind
@@ -295,6 +758,26 @@ function renderTimelineInto(containerEl, timeline) {
       tooltipParts.push("Wind: —");
     }
 
+    const minText = minimumsTooltip(h.minimums);
+    if (minText) tooltipParts.push(minText);
+
+    const rwyWind = bestRunwayWind(runways, { dir: h.windDir, speed: h.windSpeed, gust: h.windGust });
+    if (rwyWind) {
+      tooltipParts.push(formatRunwayWind(rwyWind));
+      if (exceedsXwind(rwyWind)) {
+        tickEl.classList.add("xwind-exceeded");
+        tooltipParts.push(`Crosswind above ${xwindLimitKt}kt limit`);
+      }
+    }
+
+    if (worst) {
+      const wParts = [`${worst.type}: ${worst.cat.toUpperCase()}`];
+      if (typeof worst.vis === "number") wParts.push(`${worst.vis % 1 === 0 ? worst.vis : worst.vis.toFixed(1)}sm`);
+      if (typeof worst.ceil === "number") wParts.push(`${Math.round(worst.ceil).toLocaleString()}ft`);
+      tooltipParts.push(wParts.join(" "));
+      if (worst.raw) tooltipParts.push(worst.raw);
+    }
+
     // Set tooltip on the tick element
     const tooltipText = tooltipParts.join("\n");
     tickEl.title = tooltipText;
@@ -304,15 +787,172 @@ function renderTimelineInto(containerEl, timeline) {
   containerEl.appendChild(timelineEl);
 }
 
+/************************************
+ * Trend sparklines (IEM history)
+ ************************************/
+const SVG_NS = "http://www.w3.org/2000/svg";
+const TREND_ARROWS = { improving: "↑", deteriorating: "↓", steady: "→" };
+
+// Points scaled into the 120x24 viewBox; values clamped to [0, max]
+function sparkPoints(series, key, max) {
+  const t0 = Date.parse(series[0].validUtc);
+  const span = Math.max(Date.parse(series[series.length - 1].validUtc) - t0, 1);
+  return series
+    .filter(p => typeof p[key] === "number")
+    .map(p => {
+      const x = ((Date.parse(p.validUtc) - t0) / span) * 120;
+      const y = 23 - (Math.min(Math.max(p[key], 0), max) / max) * 22;
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(" ");
+}
+
+function buildSparkRow(label, series, { key, max, threshold = null, format, gustKey = null }) {
+  const row = cloneTpl("tpl-spark-row");
+  row.querySelector(".spark-label").textContent = label;
+  const svg = row.querySelector(".spark-svg");
+
+  if (threshold != null) {
+    const y = 23 - (threshold / max) * 22;
+    const line = document.createElementNS(SVG_NS, "line");
+    line.setAttribute("x1", "0");
+    line.setAttribute("x2", "120");
+    line.setAttribute("y1", y.toFixed(1));
+    line.setAttribute("y2", y.toFixed(1));
+    line.setAttribute("class", "spark-threshold");
+    svg.appendChild(line);
+  }
+
+  [[gustKey, "spark-line gust"], [key, "spark-line"]].forEach(([k, cls]) => {
+    if (!k) return;
+    const points = sparkPoints(series, k, max);
+    if (!points) return;
+    const poly = document.createElementNS(SVG_NS, "polyline");
+    poly.setAttribute("points", points);
+    poly.setAttribute("class", cls);
+    svg.appendChild(poly);
+  });
+
+  const last = [...series].reverse().find(p => typeof p[key] === "number");
+  row.querySelector(".spark-value").textContent = last ? format(last) : "--";
+  return row;
+}
+
+function renderSparksInto(containerEl, history) {
+  containerEl.replaceChildren();
+  const series = history?.series || [];
+  if (series.length < 2) return;
+
+  const title = document.createElement("div");
+  title.className = "spark-title";
+  const dir = history.trend?.direction;
+  title.textContent = `Last ${history.hours}h obs${dir ? ` — ${dir}` : ""}`;
+  containerEl.appendChild(title);
+
+  // Missing ceiling means none reported; draw it at the top of the scale
+  const withCeil = series.map(p => ({ ...p, ceilPlot: p.ceil ?? 10000 }));
+
+  containerEl.appendChild(buildSparkRow("Vis", series, {
+    key: "vis", max: 10, threshold: 3, format: p => `${p.vis}sm`
+  }));
+  containerEl.appendChild(buildSparkRow("Ceil", withCeil, {
+    key: "ceilPlot", max: 10000, threshold: 1000,
+    format: p => (p.ceil != null ? `${p.ceil.toLocaleString()}ft` : "None")
+  }));
+  containerEl.appendChild(buildSparkRow("Wind", series, {
+    key: "wind", gustKey: "gust", max: Math.max(30, ...series.map(p => p.gust ?? p.wind ?? 0)),
+    format: p => `${p.wind}${p.gust ? `G${p.gust}` : ""} kt`
+  }));
+}
+
+function renderTrendInto(el, history) {
+  const trend = history?.trend;
+  el.textContent = trend ? TREND_ARROWS[trend.direction] || "" : "";
+  el.className = `metric trend js-trend${trend ? ` ${trend.direction}` : ""}`;
+  el.title = trend
+    ? `${trend.direction} since ${formatHour(trend.fromIso)}: ${trend.from.cat.toUpperCase()} → ${trend.to.cat.toUpperCase()}`
+    : "";
+}
+
+/************************************
+ * Raw reports (METAR / TAF text)
+ ************************************/
+// One group per line: FM / BECMG / PROB / INTER / TEMPO (PROB30 TEMPO stays together)
+function formatRawTaf(raw) {
+  return raw
+    .replace(/\s+(?=(?:FM\d{6}|BECMG|PROB\d{2}|INTER)\b)/g, "\n  ")
+    .replace(/(?<!PROB\d{2})\s+(?=TEMPO\b)/g, "\n  ");
+}
+
+async function copyText(text) {
+  if (navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+  // Fallback for non-secure contexts
+  const ta = document.createElement("textarea");
+  ta.value = text;
+  ta.setAttribute("readonly", "");
+  ta.style.position = "fixed";
+  ta.style.opacity = "0";
+  document.body.appendChild(ta);
+  ta.select();
+  document.execCommand("copy");
+  ta.remove();
+}
+
+function buildRawReport(label, rawText, { displayText = rawText, borrowed = false } = {}) {
+  const el = cloneTpl("tpl-raw-report");
+  el.classList.toggle("borrowed", borrowed);
+  el.querySelector(".raw-label").textContent = label;
+  el.querySelector(".raw-text").textContent = displayText;
+
+  const btn = el.querySelector(".btn-copy");
+  btn.addEventListener("click", async (e) => {
+    e.stopPropagation();
+    try {
+      await copyText(rawText);
+      btn.textContent = "Copied";
+    } catch (err) {
+      console.warn("Copy failed:", err);
+      btn.textContent = "Copy failed";
+    }
+    setTimeout(() => { btn.textContent = "Copy"; }, 1500);
+  });
+  return el;
+}
+
+function renderRawReportsInto(containerEl, { stKey, metar, ownTaf, overrideId, overrideTaf }) {
+  if (!containerEl) return;
+  containerEl.replaceChildren();
+
+  if (metar?.raw) {
+    containerEl.appendChild(buildRawReport(`METAR ${stKey}`, metar.raw));
+  }
+  if (ownTaf?.rawTAF) {
+    containerEl.appendChild(buildRawReport(`TAF ${stKey}`, ownTaf.rawTAF, {
+      displayText: formatRawTaf(ownTaf.rawTAF)
+    }));
+  }
+  if (overrideId && overrideTaf?.rawTAF) {
+    containerEl.appendChild(buildRawReport(`TAF ${overrideId} — borrowed for ${stKey}`, overrideTaf.rawTAF, {
+      displayText: formatRawTaf(overrideTaf.rawTAF),
+      borrowed: true
+    }));
+  }
+}
+
 /************************************
  * Alerts
  ************************************/
+// The server picks each hour's peak (worse of prevailing and TEMPO/PROB),
+// so board alerts line up with the server's alert keys
 function findFirstIfrHour(timeline, lookaheadHours = 6) {
   if (!Array.isArray(timeline) || timeline.length === 0) return null;
-  const subset = timeline.slice(0, lookaheadHours);
-  for (const h of subset) {
-    const cat = (h.cat || "").toLowerCase();
-    if (cat === "ifr" || cat === "lifr") return h;
+  for (const h of timeline.slice(0, lookaheadHours)) {
+    const peak = h.peak || { cat: h.cat, qualifier: null };
+    const cat = (peak.cat || "").toLowerCase();
+    if (cat === "ifr" || cat === "lifr") return { hourIso: h.hourIso, cat, qualifier: peak.qualifier || null };
   }
   return null;
 }
@@ -322,11 +962,67 @@ const dismissedAlerts = new Set();
 
 function getAlertKey(alert) {
   // Create unique key for each alert
+  if (alert.type === "xwind") {
+    return `${alert.name}-xwind-${alert.hourIso || "now"}`;
+  }
+  if (alert.type === "stale") {
+    return `${alert.name}-stale-${alert.source}`;
+  }
   if (alert.type === "now") {
     return `${alert.name}-${alert.cat}-now`;
   } else {
-    return `${alert.name}-${alert.cat}-${alert.hourIso}`;
+    return `${alert.name}-${alert.cat}-${alert.qualifier || ""}-${alert.hourIso}`;
+  }
+}
+
+// IFR/LIFR alerts are also tracked by the server's alert log; same key scheme
+function serverAlertKey(alert) {
+  if (!alert.icaoId || (alert.type !== "now" && alert.type !== "forecast")) return null;
+  const base = `${alert.type}:${alert.icaoId}:${alert.cat}`;
+  return alert.type === "forecast" && alert.qualifier ? `${base}:${alert.qualifier}` : base;
+}
+
+function findServerAlert(alert) {
+  const key = serverAlertKey(alert);
+  if (!key) return null;
+  return (currentPayload?.serverAlerts || []).find(s => s.key === key) || null;
+}
+
+async function acknowledgeAlert(serverAlert) {
+  const by = window.prompt("Acknowledge as:", localStorage.getItem(ACK_NAME_KEY) || "");
+  if (!by || !by.trim()) return false;
+  localStorage.setItem(ACK_NAME_KEY, by.trim());
+
+  const res = await fetch(`/api/alerts/${encodeURIComponent(serverAlert.id)}/ack`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ by: by.trim() })
+  });
+  const data = await res.json().catch(() => ({}));
+  // 409: someone else got there first, which is just as good
+  if (!res.ok && res.status !== 409) throw new Error(data.error || `HTTP ${res.status}`);
+
+  const acked = data.alert || data;
+  Object.assign(serverAlert, { ackBy: acked.ackBy || by.trim(), ackAt: acked.ackAt || new Date().toISOString() });
+  return true;
+}
+
+function alertMessage(a) {
+  if (a.type === "xwind") {
+    const when = a.hourIso
+      ? `expected by ${String(new Date(a.hourIso).getHours()).padStart(2, "0")}:00`
+      : "now";
+    return `${a.name}: crosswind ${a.approx ? "~" : ""}${a.crosswind} kt on Rwy ${a.runway} ${when} (limit ${a.limit} kt)`;
+  }
+  if (a.type === "now") {
+    return `${a.name}: ${a.cat.toUpperCase()} now`;
   }
+  if (a.type === "stale") {
+    return `${a.name}: last ${a.source} ${formatAgeText(a.ageMinutes)}, category unknown`;
+  }
+  const hh = String(new Date(a.hourIso).getHours()).padStart(2, "0");
+  const qualifier = a.qualifier ? `${a.qualifier} ` : "";
+  return `${a.name}: ${qualifier}${a.cat.toUpperCase()} expected by ${hh}:00`;
 }
 
 function renderAlerts(alerts) {
@@ -339,8 +1035,8 @@ function renderAlerts(alerts) {
     return;
   }
 
-  // Filter out dismissed alerts
-  const activeAlerts = alerts.filter(a => !dismissedAlerts.has(getAlertKey(a)));
+  // Filter out dismissed and acknowledged alerts
+  const activeAlerts = alerts.filter(a => !dismissedAlerts.has(getAlertKey(a)) && !findServerAlert(a)?.ackAt);
 
   if (!activeAlerts.length) {
     return;
@@ -353,23 +1049,26 @@ function renderAlerts(alerts) {
     
     const msgDiv = document.createElement("div");
     msgDiv.className = "msg";
+    // textContent automatically escapes, so no need for escapeHtml
+    msgDiv.textContent = alertMessage(a);
 
-    if (a.type === "now") {
-      // textContent automatically escapes, so no need for escapeHtml
-      msgDiv.textContent = `${a.name}: ${a.cat.toUpperCase()} now`;
-    } else {
-      const hh = String(new Date(a.hourIso).getHours()).padStart(2, "0");
-      msgDiv.textContent = `${a.name}: ${a.cat.toUpperCase()} expected by ${hh}:00`;
-    }
-
-    // Close button (X icon) instead of METAR/TAF tag
+    // Close button (X icon) instead of METAR/TAF tag; logged alerts get "Ack" instead
+    const serverAlert = findServerAlert(a);
     const closeBtn = document.createElement("button");
-    closeBtn.className = "alert-close";
-    closeBtn.innerHTML = "×";
-    closeBtn.setAttribute("aria-label", "Close alert");
-    closeBtn.addEventListener("click", () => {
-      dismissedAlerts.add(getAlertKey(a));
-      alertDiv.remove();
+    closeBtn.className = serverAlert ? "alert-close ack" : "alert-close";
+    closeBtn.textContent = serverAlert ? "Ack" : "×";
+    closeBtn.setAttribute("aria-label", serverAlert ? "Acknowledge alert" : "Close alert");
+    closeBtn.addEventListener("click", async () => {
+      if (!serverAlert) {
+        dismissedAlerts.add(getAlertKey(a));
+        alertDiv.remove();
+        return;
+      }
+      try {
+        if (await acknowledgeAlert(serverAlert)) alertDiv.remove();
+      } catch (err) {
+        alert(`Could not acknowledge alert: ${err.message}`);
+      }
     });
 
     alertDiv.appendChild(msgDiv);
@@ -378,6 +1077,775 @@ function renderAlerts(alerts) {
   });
 }
 
+/************************************
+ * Alert history (server alert log)
+ ************************************/
+function formatLogTime(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  return `${d.toLocaleDateString([], { month: "short", day: "numeric" })} ${formatClock(iso)}`;
+}
+
+function renderAlertLog(container, entries) {
+  container.replaceChildren();
+
+  if (!entries.length) {
+    container.textContent = "No alerts in this period.";
+    return;
+  }
+
+  entries.forEach(a => {
+    const el = cloneTpl("tpl-alert-log-row");
+    el.classList.add(a.status);
+
+    const catEl = el.querySelector(".js-log-cat");
+    catEl.textContent = catLabel(a.cat);
+    catEl.classList.add(a.cat);
+
+    el.querySelector(".js-log-msg").textContent = a.message;
+    el.querySelector(".js-log-status").textContent = a.status === "active" ? "ACTIVE" : "EXPIRED";
+
+    const ended = a.expiredAt ? ` · ended ${formatLogTime(a.expiredAt)} (${a.expiredReason})` : "";
+    el.querySelector(".js-log-times").textContent = `Raised ${formatLogTime(a.createdAt)}${ended}`;
+    el.querySelector(".js-log-ack").textContent = a.ackAt
+      ? `Acknowledged by ${a.ackBy} at ${formatLogTime(a.ackAt)}`
+      : "Not acknowledged";
+
+    container.appendChild(el);
+  });
+}
+
+async function loadAlertLog() {
+  const result = $("alert-log-result");
+  if (!result) return;
+
+  const days = $("alert-log-days")?.value || "7";
+  result.textContent = "Loading…";
+  try {
+    const res = await fetch(`/api/alerts/history?days=${encodeURIComponent(days)}`, { cache: "no-store" });
+    const data = await res.json().catch(() => []);
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    renderAlertLog(result, Array.isArray(data) ? data : []);
+  } catch (err) {
+    result.textContent = `Could not load alert history: ${err.message}`;
+  }
+}
+
+function initAlertLogPanel() {
+  const panel = $("alert-log-panel");
+  $("btn-alert-log")?.addEventListener("click", () => {
+    panel?.classList.toggle("hidden");
+    if (panel && !panel.classList.contains("hidden")) loadAlertLog();
+  });
+  $("alert-log-days")?.addEventListener("change", loadAlertLog);
+  $("btn-alert-log-refresh")?.addEventListener("click", loadAlertLog);
+}
+
+/************************************
+ * Weather checks (dispatch audit trail)
+ ************************************/
+// What the dispatcher is looking at right now, limited to the chosen stations
+// The server records the weather itself; this is only what the board showed
+function buildCheckClientView(ids) {
+  return {
+    fetchedAt: currentPayload.fetchedAt,
+    categories: ids.map(id => {
+      const state = statesByCard.get(id) || {};
+      return { icaoId: id, cat: state.cat || "unk", status: state.status || null };
+    })
+  };
+}
+
+function fillCheckStations() {
+  const box = $("check-stations");
+  if (!box) return;
+  box.replaceChildren();
+  stations.forEach(st => {
+    const label = document.createElement("label");
+    const cb = document.createElement("input");
+    cb.type = "checkbox";
+    cb.value = norm(st.id);
+    cb.checked = true;
+    label.appendChild(cb);
+    label.appendChild(document.createTextNode(norm(st.id)));
+    box.appendChild(label);
+  });
+}
+
+async function loadRecentChecks() {
+  const el = $("check-recent");
+  if (!el) return;
+  try {
+    const res = await fetch("/api/checks?limit=10", { cache: "no-store" });
+    const data = await res.json().catch(() => []);
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+    el.replaceChildren();
+    if (!data.length) {
+      el.textContent = "No checks logged yet.";
+      return;
+    }
+    data.forEach(c => {
+      const row = document.createElement("div");
+      row.className = "check-recent-row";
+      const link = document.createElement("a");
+      link.href = `/checks/${encodeURIComponent(c.id)}`;
+      link.target = "_blank";
+      link.rel = "noopener";
+      link.textContent = `${c.mission} · ${c.decision.toUpperCase()} · ${formatLogTime(c.createdAt)}${c.by ? ` · ${c.by}` : ""}`;
+      row.appendChild(link);
+      el.appendChild(row);
+    });
+  } catch (err) {
+    el.textContent = `Could not load checks: ${err.message}`;
+  }
+}
+
+async function logWeatherCheck() {
+  const result = $("check-result");
+  if (!result) return;
+
+  const mission = ($("check-mission")?.value || "").trim();
+  const by = ($("check-by")?.value || "").trim();
+  const ids = [...document.querySelectorAll("#check-stations input:checked")].map(cb => cb.value);
+  if (!mission) { result.textContent = "Enter a mission number."; return; }
+  if (!ids.length) { result.textContent = "Select at least one station."; return; }
+  if (!currentPayload) { result.textContent = "No weather loaded yet."; return; }
+
+  if (by) localStorage.setItem(ACK_NAME_KEY, by);
+  result.textContent = "Saving…";
+  try {
+    const res = await fetch("/api/checks", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        mission,
+        decision: $("check-decision")?.value || "accepted",
+        by,
+        notes: $("check-notes")?.value || "",
+        stations: ids,
+        profile: currentPayload.profile || null,
+        tafOverride: Object.fromEntries(ids.filter(id => tafOverride[id]).map(id => [id, tafOverride[id]])),
+        clientView: buildCheckClientView(ids)
+      })
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+    result.replaceChildren();
+    const link = document.createElement("a");
+    link.href = `/checks/${encodeURIComponent(data.id)}`;
+    link.target = "_blank";
+    link.rel = "noopener";
+    link.textContent = `Logged ${data.mission} (${data.decision}) — open printable record`;
+    result.appendChild(link);
+    $("check-mission").value = "";
+    $("check-notes").value = "";
+    loadRecentChecks();
+  } catch (err) {
+    result.textContent = `Could not log weather check: ${err.message}`;
+  }
+}
+
+/************************************
+ * Printable briefing
+ ************************************/
+function openBriefing() {
+  if (!stations.length) return;
+  const params = new URLSearchParams({ ids: stations.map(s => norm(s.id)).join(",") });
+  if (minimumsProfileId) params.set("profile", minimumsProfileId);
+  const borrowed = Object.entries(tafOverride).map(([id, from]) => `${id}:${from}`);
+  if (borrowed.length) params.set("tafFrom", borrowed.join(","));
+  window.open(`/briefing?${params.toString()}`, "_blank", "noopener");
+}
+
+function initCheckPanel() {
+  const panel = $("check-panel");
+  if ($("check-by")) $("check-by").value = localStorage.getItem(ACK_NAME_KEY) || "";
+
+  $("btn-check")?.addEventListener("click", () => {
+    panel?.classList.toggle("hidden");
+    if (panel && !panel.classList.contains("hidden")) {
+      fillCheckStations();
+      loadRecentChecks();
+    }
+  });
+
+  $("check-form")?.addEventListener("submit", (e) => {
+    e.preventDefault();
+    logWeatherCheck();
+  });
+}
+
+/************************************
+ * Notifications + chime (per device)
+ ************************************/
+const DEFAULT_NOTIFY = {
+  enabled: false,
+  sound: true,
+  quietEnabled: false,
+  quietStart: "22:00",
+  quietEnd: "06:00",
+  muted: []
+};
+
+function loadNotifySettings() {
+  try {
+    return { ...DEFAULT_NOTIFY, ...JSON.parse(localStorage.getItem(NOTIFY_KEY) || "{}") };
+  } catch {
+    return { ...DEFAULT_NOTIFY };
+  }
+}
+
+let notifySettings = loadNotifySettings();
+
+function saveNotifySettings(patch) {
+  notifySettings = { ...notifySettings, ...patch };
+  localStorage.setItem(NOTIFY_KEY, JSON.stringify(notifySettings));
+}
+
+function isMuted(key) {
+  return notifySettings.muted.includes(key);
+}
+
+function toggleMute(key) {
+  const muted = isMuted(key)
+    ? notifySettings.muted.filter(k => k !== key)
+    : [...notifySettings.muted, key];
+  saveNotifySettings({ muted });
+}
+
+function inQuietHours(now = new Date()) {
+  if (!notifySettings.quietEnabled) return false;
+  const toMin = (hhmm) => {
+    const [h, m] = (hhmm || "0:0").split(":").map(Number);
+    return (h || 0) * 60 + (m || 0);
+  };
+  const start = toMin(notifySettings.quietStart);
+  const end = toMin(notifySettings.quietEnd);
+  const cur = now.getHours() * 60 + now.getMinutes();
+  // Window may wrap past midnight (22:00-06:00)
+  return start <= end ? (cur >= start && cur < end) : (cur >= start || cur < end);
+}
+
+// Browsers only allow audio after a user gesture; created when alerts are enabled
+let audioCtx = null;
+
+function playChime(urgent) {
+  if (!audioCtx) return;
+  const tones = urgent ? [880, 660, 880] : [660, 880];
+  tones.forEach((freq, i) => {
+    const osc = audioCtx.createOscillator();
+    const gain = audioCtx.createGain();
+    const t = audioCtx.currentTime + i * 0.22;
+    osc.frequency.value = freq;
+    gain.gain.setValueAtTime(0.0001, t);
+    gain.gain.exponentialRampToValueAtTime(0.3, t + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, t + 0.2);
+    osc.connect(gain).connect(audioCtx.destination);
+    osc.start(t);
+    osc.stop(t + 0.21);
+  });
+}
+
+function ensureAudio() {
+  if (!audioCtx && (window.AudioContext || window.webkitAudioContext)) {
+    audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+  }
+}
+
+async function enableNotifications() {
+  if ("Notification" in window && Notification.permission === "default") {
+    await Notification.requestPermission();
+  }
+  ensureAudio();
+  saveNotifySettings({ enabled: true });
+}
+
+function loadNotifyState() {
+  try {
+    return JSON.parse(localStorage.getItem(NOTIFY_STATE_KEY) || "{}");
+  } catch {
+    return {};
+  }
+}
+
+// -> [{ title, body, urgent }] for one card's previous -> current state
+function describeTransitions(prev, next) {
+  const out = [];
+  const prevRank = CATEGORY_RANK[prev.cat] ?? 0;
+  const nextRank = CATEGORY_RANK[next.cat] ?? 0;
+
+  if (next.cat !== "unk" && prev.cat !== "unk") {
+    if (nextRank >= CATEGORY_RANK.ifr && nextRank > prevRank) {
+      out.push({ title: `${next.name}: ${next.cat.toUpperCase()}`, body: `Down from ${prev.cat.toUpperCase()}`, urgent: true });
+    } else if (next.cat === "vfr" && prevRank > CATEGORY_RANK.vfr) {
+      out.push({ title: `${next.name}: back to VFR`, body: `Up from ${prev.cat.toUpperCase()}`, urgent: false });
+    }
+  }
+
+  // Switching profiles is not a weather change
+  const sameProfile = prev.profile === next.profile;
+  if (sameProfile && next.status === "nogo" && prev.status && prev.status !== "nogo" && prev.status !== "unk") {
+    out.push({ title: `${next.name}: below minimums`, body: `${GO_LABELS[prev.status]} → NO-GO`, urgent: true });
+  }
+
+  if (next.forecast && !prev.forecast) {
+    const f = next.forecast;
+    out.push({
+      title: `${next.name}: ${f.qualifier ? `${f.qualifier} ` : ""}${f.cat.toUpperCase()} forecast`,
+      body: `Expected by ${formatHour(f.hourIso)}`,
+      urgent: false
+    });
+  }
+  return out;
+}
+
+function notifyTransitions(states) {
+  const prevStates = loadNotifyState();
+  const nextStates = { ...prevStates };
+  const messages = [];
+
+  states.forEach((cardState, key) => {
+    const prev = prevStates[key];
+    const state = { ...cardState, profile: minimumsProfileId || "" };
+    nextStates[key] = state;
+    // First sighting: remember it, nothing to compare against
+    if (!prev || isMuted(key)) return;
+    messages.push(...describeTransitions(prev, state).map(m => ({ ...m, key })));
+  });
+
+  localStorage.setItem(NOTIFY_STATE_KEY, JSON.stringify(nextStates));
+
+  if (!messages.length || !notifySettings.enabled || inQuietHours()) return;
+
+  if ("Notification" in window && Notification.permission === "granted") {
+    messages.forEach(m => {
+      new Notification(m.title, { body: m.body, tag: `${m.key}:${m.title}`, requireInteraction: m.urgent });
+    });
+  }
+  if (notifySettings.sound) playChime(messages.some(m => m.urgent));
+}
+
+function renderManageNotifications(panel, listen) {
+  const titleDiv = document.createElement("div");
+  titleDiv.className = "manage-title manage-section";
+  titleDiv.textContent = "Alerts on this device";
+  panel.appendChild(titleDiv);
+
+  const row = document.createElement("div");
+  row.className = "notify-form";
+
+  const enableBtn = document.createElement("button");
+  enableBtn.type = "button";
+  enableBtn.textContent = notifySettings.enabled ? "Alerts on" : "Enable alerts";
+  enableBtn.classList.toggle("active", notifySettings.enabled);
+  listen(enableBtn, "click", async () => {
+    if (notifySettings.enabled) {
+      saveNotifySettings({ enabled: false });
+    } else {
+      await enableNotifications();
+      playChime(false);
+    }
+    renderManagePanel();
+  });
+  row.appendChild(enableBtn);
+
+  const checkbox = (label, key) => {
+    const wrap = document.createElement("label");
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.checked = Boolean(notifySettings[key]);
+    listen(input, "change", () => saveNotifySettings({ [key]: input.checked }));
+    wrap.appendChild(input);
+    wrap.appendChild(document.createTextNode(` ${label}`));
+    return wrap;
+  };
+  row.appendChild(checkbox("Chime", "sound"));
+  row.appendChild(checkbox("Quiet", "quietEnabled"));
+
+  ["quietStart", "quietEnd"].forEach(key => {
+    const input = document.createElement("input");
+    input.type = "time";
+    input.value = notifySettings[key];
+    listen(input, "change", () => saveNotifySettings({ [key]: input.value }));
+    row.appendChild(input);
+  });
+
+  panel.appendChild(row);
+}
+
+function buildMuteButton(key, listen) {
+  const btn = document.createElement("button");
+  btn.className = "btn-mute";
+  const paint = () => {
+    btn.textContent = isMuted(key) ? "🔕" : "🔔";
+    btn.title = isMuted(key) ? "Alerts muted for this station" : "Mute alerts for this station";
+  };
+  paint();
+  listen(btn, "click", () => {
+    toggleMute(key);
+    paint();
+  });
+  return btn;
+}
+
+/************************************
+ * Landing sites (server-side)
+ ************************************/
+let sites = [];
+
+async function loadSites() {
+  try {
+    const r = await fetch("/api/sites");
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    const data = await r.json();
+    sites = Array.isArray(data) ? data : [];
+  } catch (err) {
+    console.warn("Failed to load landing sites:", err);
+  }
+  renderManagePanel();
+  fillRouteSiteSelect();
+}
+
+async function saveSite(method, url, body) {
+  const r = await fetch(url, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  if (!r.ok) {
+    const err = await r.json().catch(() => ({}));
+    throw new Error(err.error || `HTTP ${r.status}`);
+  }
+  // Sites feed the board => invalidate data cache
+  localStorage.removeItem(DATA_CACHE_KEY);
+}
+
+function renderSiteCard(sw) {
+  const site = sw.site || {};
+  const key = norm(`site:${site.id}`);
+  const cond = sw.conditions || {};
+  const category = (cond.cat || "unk").toLowerCase();
+
+  const card = cloneTpl("tpl-airport-card");
+  card.setAttribute("data-site-id", site.id);
+  card.classList.add("site", category);
+
+  const titleEl = card.querySelector(".js-name");
+  titleEl.textContent = "";
+  const nameSpan = document.createElement("span");
+  nameSpan.textContent = site.name;
+  titleEl.appendChild(nameSpan);
+  const chevron = document.createElement("span");
+  chevron.className = "chevron";
+  chevron.textContent = "▼";
+  titleEl.appendChild(chevron);
+  titleEl.setAttribute("role", "button");
+  titleEl.setAttribute("tabindex", "0");
+
+  const onToggle = () => {
+    toggleCard(key);
+    applyExpandedState(card, key);
+  };
+  titleEl.addEventListener("click", onToggle);
+  titleEl.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      onToggle();
+    }
+  });
+
+  const pillEl = card.querySelector(".js-pill");
+  pillEl.textContent = category.toUpperCase();
+  pillEl.classList.add(category);
+
+  const goEl = card.querySelector(".js-go");
+  if (goEl && sw.minimums) {
+    const status = sw.minimums.status || "unk";
+    goEl.textContent = GO_LABELS[status] || "UNK";
+    goEl.classList.add(`status-${status}`);
+    goEl.title = minimumsTooltip(sw.minimums);
+  }
+
+  const visText = formatVisibility(cond.vis);
+  const ceilText = formatCeiling(cond.ceil, cond.ceilState);
+  card.querySelector(".js-vis-collapsed").textContent = visText;
+  card.querySelector(".js-ceil-collapsed").textContent = ceilText;
+  card.querySelector(".js-vis-expanded").textContent = visText;
+  card.querySelector(".js-ceil-expanded").textContent = ceilText;
+
+  const windLine = card.querySelector(".js-windline");
+  windLine.querySelector(".js-wind").textContent = sw.mode === "blended" ? "Blended" : "Worst of nearest";
+  windLine.querySelector(".js-gust").textContent = "";
+
+  const timeline = sw.taf?.timeline || [];
+  renderTimelineInto(card.querySelector(".js-timeline"), timeline);
+
+  // Which stations fed the decision
+  const rawEl = card.querySelector(".js-raw");
+  const explain = document.createElement("ul");
+  explain.className = "site-explain";
+  (sw.explanation || []).forEach(line => {
+    const li = document.createElement("li");
+    li.textContent = line;
+    explain.appendChild(li);
+  });
+  rawEl.appendChild(explain);
+  if (sw.taf?.rawTAF) {
+    rawEl.appendChild(buildRawReport(`TAF ${sw.taf.icaoId} — borrowed, ${sw.taf.distanceNm} nm`, sw.taf.rawTAF, {
+      displayText: formatRawTaf(sw.taf.rawTAF),
+      borrowed: true
+    }));
+  }
+
+  applyExpandedState(card, key);
+  return { card, category, timeline };
+}
+
+/************************************
+ * Route / leg briefing
+ ************************************/
+function loadRouteForm() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ROUTE_KEY) || "{}");
+    return {
+      waypoints: saved.waypoints || "",
+      speedKt: Number(saved.speedKt) || 120,
+      corridorNm: Number(saved.corridorNm) || 10
+    };
+  } catch {
+    return { waypoints: "", speedKt: 120, corridorNm: 10 };
+  }
+}
+
+function fillRouteSiteSelect() {
+  const select = $("route-site-select");
+  if (!select) return;
+  select.replaceChildren();
+  const placeholder = document.createElement("option");
+  placeholder.value = "";
+  placeholder.textContent = sites.length ? "+ Site" : "No sites";
+  select.appendChild(placeholder);
+  sites.forEach(site => {
+    const opt = document.createElement("option");
+    opt.value = `site:${site.id}`;
+    opt.textContent = site.name;
+    select.appendChild(opt);
+  });
+}
+
+function formatClock(iso) {
+  const d = new Date(iso);
+  return `${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+}
+
+function catLabel(cat) {
+  return (cat || "unk").toUpperCase();
+}
+
+function formatLegConditions(prefix, c) {
+  const vis = typeof c.vis === "number" ? `${c.vis}sm` : "vis not reported";
+  const ceil = typeof c.ceil === "number" ? `${c.ceil.toLocaleString()}ft`
+    : c.ceilState === "unlimited" ? "no ceil" : "ceil not reported";
+  return `${prefix}: ${catLabel(c.cat)} (${vis}, ${ceil})`;
+}
+
+function renderRouteBriefing(container, brief) {
+  container.replaceChildren();
+
+  const summary = document.createElement("div");
+  summary.className = "route-summary";
+  const status = brief.status ? ` · ${GO_LABELS[brief.status] || "UNK"}` : "";
+  summary.textContent =
+    `${brief.totalNm} nm · ${brief.eteMin} min @ ${brief.speedKt} kt · worst ${catLabel(brief.cat)}${status}`;
+  container.appendChild(summary);
+
+  brief.legs.forEach(leg => {
+    const el = cloneTpl("tpl-route-leg");
+    el.querySelector(".route-leg-name").textContent = `${leg.from.name} → ${leg.to.name}`;
+
+    const cat = [leg.current.cat, leg.forecast.cat]
+      .sort((a, b) => (CATEGORY_RANK[b] ?? 0) - (CATEGORY_RANK[a] ?? 0))[0] || "unk";
+    const catEl = el.querySelector(".js-leg-cat");
+    catEl.textContent = catLabel(cat);
+    catEl.classList.add(cat);
+
+    const goEl = el.querySelector(".js-leg-go");
+    if (leg.status) {
+      goEl.textContent = GO_LABELS[leg.status] || "UNK";
+      goEl.classList.add(`status-${leg.status}`);
+      const reasons = [leg.current.minimums, leg.forecast.minimums]
+        .filter(Boolean)
+        .map(minimumsTooltip)
+        .filter(Boolean);
+      goEl.title = reasons.join("\n");
+    }
+
+    el.querySelector(".route-leg-meta").textContent =
+      `${leg.distanceNm} nm · ${leg.courseDeg}° · ${leg.eteMin} min · ${formatClock(leg.departIso)}–${formatClock(leg.arriveIso)}`;
+    el.querySelector(".route-leg-now").textContent = formatLegConditions("Now", leg.current);
+
+    const fcst = leg.forecast;
+    const fcstFrom = fcst.icaoId
+      ? ` — ${fcst.qualifier ? `${fcst.qualifier} ` : ""}${fcst.icaoId} ${formatHour(fcst.hourIso)}`
+      : " — no TAF in corridor";
+    el.querySelector(".route-leg-fcst").textContent = formatLegConditions("Enroute fcst", fcst) + fcstFrom;
+
+    el.querySelector(".route-leg-stations").textContent = leg.stations.length
+      ? leg.stations.map(st => `${st.icaoId} ${catLabel(st.cat)}${st.hasObs ? "" : "?"}`).join(" · ")
+      : `No reporting stations within ${brief.corridorNm} nm`;
+
+    container.appendChild(el);
+  });
+}
+
+async function runRouteBriefing() {
+  const result = $("route-result");
+  const waypoints = ($("route-waypoints")?.value || "")
+    .split(/[\s,]+/)
+    .map(s => (/^site:/i.test(s) ? s : norm(s)))
+    .filter(Boolean);
+  if (!result) return;
+  if (waypoints.length < 2) {
+    result.textContent = "Enter at least two waypoints.";
+    return;
+  }
+
+  const speedKt = $("route-speed")?.value || "";
+  const corridorNm = $("route-corridor")?.value || "";
+  const departLocal = $("route-depart")?.value || "";
+  localStorage.setItem(ROUTE_KEY, JSON.stringify({ waypoints: waypoints.join(", "), speedKt, corridorNm }));
+
+  const params = new URLSearchParams({ waypoints: waypoints.join(","), speedKt, corridorNm });
+  if (departLocal) params.set("depart", new Date(departLocal).toISOString());
+  if (minimumsProfileId) params.set("profile", minimumsProfileId);
+
+  result.textContent = "Briefing…";
+  try {
+    const r = await fetch(`/api/route?${params}`);
+    const data = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(data.error || `HTTP ${r.status}`);
+    renderRouteBriefing(result, data);
+  } catch (err) {
+    result.textContent = `Route briefing failed: ${err.message}`;
+  }
+}
+
+function initRoutePanel() {
+  const panel = $("route-panel");
+  const saved = loadRouteForm();
+  if ($("route-waypoints")) $("route-waypoints").value = saved.waypoints;
+  if ($("route-speed")) $("route-speed").value = String(saved.speedKt);
+  if ($("route-corridor")) $("route-corridor").value = String(saved.corridorNm);
+
+  $("btn-route")?.addEventListener("click", () => {
+    panel?.classList.toggle("hidden");
+    if (panel && !panel.classList.contains("hidden")) fillRouteSiteSelect();
+  });
+
+  const siteSelect = $("route-site-select");
+  siteSelect?.addEventListener("change", () => {
+    const input = $("route-waypoints");
+    if (!siteSelect.value || !input) return;
+    input.value = input.value.trim() ? `${input.value.trim()}, ${siteSelect.value}` : siteSelect.value;
+    siteSelect.value = "";
+  });
+
+  $("route-form")?.addEventListener("submit", (e) => {
+    e.preventDefault();
+    runRouteBriefing();
+  });
+}
+
+/************************************
+ * Station directory (search + validation)
+ ************************************/
+// station id (as used in the list) -> directory entry
+const stationDirectory = new Map();
+const STATION_ID_RE = /^[A-Z0-9]{3,4}$/;
+
+async function loadStationDirectory(ids) {
+  const missing = ids.map(norm).filter(id => !stationDirectory.has(id));
+  if (!missing.length) return;
+  try {
+    const res = await fetch(`/api/stations?ids=${encodeURIComponent(missing.join(","))}`);
+    if (!res.ok) return;
+    const found = await res.json();
+    // Match back by ICAO, LID, or K + LID (the server accepts all three)
+    missing.forEach(id => {
+      const st = found.find(x => x.icao === id || x.faa === id || `K${x.faa}` === id);
+      if (st) stationDirectory.set(id, st);
+    });
+  } catch (err) {
+    console.warn("Failed to load station directory:", err);
+  }
+}
+
+async function searchStations(q) {
+  const res = await fetch(`/api/stations?q=${encodeURIComponent(q)}&limit=10`);
+  return res.ok ? res.json() : [];
+}
+
+// -> directory entry; throws with a user-facing message. When the lookup
+// fails upstream (502) the id comes back as { icao, unverified: true }
+async function resolveStationInput(text) {
+  const q = text.trim();
+  const id = norm(q);
+  if (STATION_ID_RE.test(id)) {
+    const res = await fetch(`/api/stations/${encodeURIComponent(id)}`);
+    if (res.ok) return res.json();
+    if (res.status === 502) return { icao: id, name: "", hasMetar: null, hasTaf: null, unverified: true };
+    if (res.status !== 404) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.error || `Station lookup failed (${res.status})`);
+    }
+  }
+  // Not an identifier we know: maybe a name or city
+  const matches = await searchStations(q);
+  if (matches.length === 1) return matches[0];
+  if (!matches.length) throw new Error(`No station matches "${q}"`);
+  throw new Error(`"${q}" matches ${matches.length} stations; pick one from the suggestions`);
+}
+
+// Station id typed as a TAF override -> its ICAO id; throws with a
+// user-facing message. Accepted unchecked when the lookup fails upstream
+async function resolveTafSource(id) {
+  if (!STATION_ID_RE.test(id)) throw new Error(`"${id}" is not a station identifier (3-4 letters/digits)`);
+  const res = await fetch(`/api/stations/${encodeURIComponent(id)}`);
+  if (res.status === 404) throw new Error(`Unknown station: ${id}`);
+  if (!res.ok) return id;
+  const st = await res.json();
+  if (st.hasTaf === false) throw new Error(`${st.icao} (${st.name}) does not issue a TAF`);
+  return st.icao;
+}
+
+let stationSearchTimer = null;
+
+function initStationAutocomplete(input) {
+  const list = $("station-suggestions");
+  if (!input || !list) return;
+
+  input.addEventListener("input", () => {
+    clearTimeout(stationSearchTimer);
+    const q = input.value.trim();
+    if (q.length < 2) return;
+    stationSearchTimer = setTimeout(async () => {
+      const matches = await searchStations(q).catch(() => []);
+      list.replaceChildren();
+      matches.forEach(st => {
+        const opt = document.createElement("option");
+        opt.value = st.icao;
+        const where = [st.city, st.state].filter(Boolean).join(", ");
+        const lid = st.faa && st.faa !== st.icao ? ` (${st.faa})` : "";
+        opt.label = `${st.icao}${lid} — ${st.name}${where ? `, ${where}` : ""}`;
+        opt.textContent = opt.label;
+        list.appendChild(opt);
+      });
+    }, 200);
+  });
+}
+
 /************************************
  * Airports UI (manage)
  ************************************/
@@ -386,8 +1854,8 @@ function addStation(id, name = "") {
   if (!nid) return;
   if (stations.some(s => norm(s.id) === nid)) return;
 
-  stations.push({ id: nid, name: name.trim() || nid });
-  saveStationsToStorage(stations);
+  stations.push({ id: nid, name: name.trim() || nid, tafFrom: null });
+  saveStations(stations);
 
   // if it's the first added and list was empty, re-pin
   pinnedOpenId = norm(stations[0]?.id);
@@ -400,10 +1868,10 @@ function removeStation(id) {
   
   // Prevent removing all stations
   if (stations.length === 0) {
-    stations = [...DEFAULT_STATIONS];
+    stations = DEFAULT_STATIONS.map(s => ({ ...s }));
   }
   
-  saveStationsToStorage(stations);
+  saveStations(stations);
 
   // If they removed the pinned station, re-pin to the new top
   pinnedOpenId = norm(stations[0]?.id);
@@ -413,56 +1881,287 @@ function removeStation(id) {
   }
 }
 
-let managePanelListeners = [];
+function moveStation(id, delta) {
+  const nid = norm(id);
+  const i = stations.findIndex(s => norm(s.id) === nid);
+  const j = i + delta;
+  if (i < 0 || j < 0 || j >= stations.length) return;
+  [stations[i], stations[j]] = [stations[j], stations[i]];
+  saveStations(stations);
+}
+
+// station id -> [{ icaoId, name, distanceNm }] nearest TAF sites
+const tafSuggestions = new Map();
+
+async function loadTafSuggestions(ids) {
+  const missing = ids.filter(id => !tafSuggestions.has(id));
+  if (!missing.length) return false;
+  try {
+    const res = await fetch(`/api/stations/nearestTaf?ids=${encodeURIComponent(missing.join(","))}`);
+    if (!res.ok) return false;
+    (await res.json()).forEach(x => tafSuggestions.set(norm(x.icaoId), x.suggestions || []));
+    return true;
+  } catch (err) {
+    console.warn("Failed to load TAF suggestions:", err);
+    return false;
+  }
+}
+
+function fillTafSelect(select, st) {
+  const current = st.tafFrom ? norm(st.tafFrom) : "";
+  const suggestions = tafSuggestions.get(norm(st.id)) || [];
+  const options = [["", "Own TAF"]];
+  if (current && !suggestions.some(x => x.icaoId === current)) options.push([current, `TAF ${current}`]);
+  suggestions.forEach(x => options.push([x.icaoId, `TAF ${x.icaoId} · ${x.distanceNm} nm`]));
+  options.push(["__other", "Other…"]);
+
+  select.replaceChildren();
+  options.forEach(([value, label]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = label;
+    select.appendChild(opt);
+  });
+  select.value = current;
+}
+
+let managePanelListeners = [];
+
+function renderManagePanel() {
+  const panel = $("manage-panel");
+  if (!panel) return;
+
+  // Remove old event listeners to prevent memory leaks
+  managePanelListeners.forEach(({ element, event, handler }) => {
+    element.removeEventListener(event, handler);
+  });
+  managePanelListeners = [];
+
+  // Clear and rebuild using DOM methods (safer than innerHTML)
+  panel.replaceChildren();
+
+  const listen = (element, event, handler) => {
+    element.addEventListener(event, handler);
+    managePanelListeners.push({ element, event, handler });
+  };
+
+  const titleDiv = document.createElement("div");
+  titleDiv.className = "manage-title";
+  titleDiv.textContent = activeBoard ? `Board: ${activeBoard.name} (shared)` : "Your Airports";
+  panel.appendChild(titleDiv);
+
+  stations.forEach(s => {
+    const rowDiv = document.createElement("div");
+    rowDiv.className = "manage-row";
+
+    const infoDiv = document.createElement("div");
+    const bold = document.createElement("b");
+    bold.textContent = norm(s.id);
+    const span = document.createElement("span");
+    span.className = "muted";
+    span.textContent = ` ${s.name}`;
+    infoDiv.appendChild(bold);
+    infoDiv.appendChild(span);
+
+    const removeBtn = document.createElement("button");
+    removeBtn.className = "btn-remove";
+    removeBtn.textContent = "Remove";
+    removeBtn.dataset.id = norm(s.id);
+
+    const handler = async () => {
+      removeStation(removeBtn.dataset.id);
+      renderManagePanel();
+      await refreshWeather(true);
+    };
+    removeBtn.addEventListener("click", handler);
+    managePanelListeners.push({ element: removeBtn, event: "click", handler });
+
+    const actions = document.createElement("div");
+    actions.className = "manage-actions";
+    [["↑", -1, "Move up"], ["↓", 1, "Move down"]].forEach(([label, delta, title]) => {
+      const btn = document.createElement("button");
+      btn.className = "btn-remove btn-move";
+      btn.textContent = label;
+      btn.title = title;
+      listen(btn, "click", async () => {
+        moveStation(s.id, delta);
+        renderManagePanel();
+        await refreshWeather(false);
+      });
+      actions.appendChild(btn);
+    });
+    const tafSelect = document.createElement("select");
+    tafSelect.className = "manage-select js-taf-from";
+    tafSelect.dataset.id = norm(s.id);
+    tafSelect.title = "TAF used for this station's timeline";
+    fillTafSelect(tafSelect, s);
+    listen(tafSelect, "change", async () => {
+      let target = tafSelect.value;
+      if (target === "__other") {
+        const typed = norm(window.prompt(`Borrow the TAF of which station for ${norm(s.id)}?`, s.tafFrom || "") || "");
+        try {
+          target = typed && await resolveTafSource(typed);
+        } catch (err) {
+          alert(err.message);
+          target = "";
+        }
+        if (!target) {
+          tafSelect.value = s.tafFrom || "";
+          return;
+        }
+      }
+      setTafOverride(s.id, target);
+      renderManagePanel();
+      await refreshWeather(true);
+    });
+    actions.appendChild(tafSelect);
+
+    actions.appendChild(buildMuteButton(norm(s.id), listen));
+    actions.appendChild(removeBtn);
 
-function renderManagePanel() {
-  const panel = $("manage-panel");
-  if (!panel) return;
+    rowDiv.appendChild(infoDiv);
+    rowDiv.appendChild(actions);
+    panel.appendChild(rowDiv);
+  });
 
-  // Remove old event listeners to prevent memory leaks
-  managePanelListeners.forEach(({ element, event, handler }) => {
-    element.removeEventListener(event, handler);
+  const boardActions = document.createElement("div");
+  boardActions.className = "manage-actions manage-board-actions";
+  const saveAsBtn = document.createElement("button");
+  saveAsBtn.className = "btn-remove";
+  saveAsBtn.textContent = "Save as shared board…";
+  listen(saveAsBtn, "click", () => {
+    createBoardFromCurrent().catch(err => alert(`Could not create board: ${err.message}`));
   });
-  managePanelListeners = [];
+  boardActions.appendChild(saveAsBtn);
+  if (activeBoard) {
+    const deleteBtn = document.createElement("button");
+    deleteBtn.className = "btn-remove";
+    deleteBtn.textContent = "Delete board";
+    listen(deleteBtn, "click", () => {
+      deleteActiveBoard().catch(err => alert(`Could not delete board: ${err.message}`));
+    });
+    boardActions.appendChild(deleteBtn);
+  }
+  panel.appendChild(boardActions);
 
-  // Clear and rebuild using DOM methods (safer than innerHTML)
-  panel.replaceChildren();
+  renderManageSites(panel, listen);
+  renderManageNotifications(panel, listen);
+
+  // Suggestions arrive after the first render; fill the selects in place
+  loadTafSuggestions(stations.map(st => norm(st.id))).then(loaded => {
+    if (!loaded) return;
+    panel.querySelectorAll(".js-taf-from").forEach(select => {
+      const st = stations.find(x => norm(x.id) === select.dataset.id);
+      if (st) fillTafSelect(select, st);
+    });
+  });
+}
 
+function renderManageSites(panel, listen) {
   const titleDiv = document.createElement("div");
-  titleDiv.className = "manage-title";
-  titleDiv.textContent = "Your Airports";
+  titleDiv.className = "manage-title manage-section";
+  titleDiv.textContent = "Landing Sites (shared)";
   panel.appendChild(titleDiv);
 
-  stations.forEach(s => {
+  sites.forEach(site => {
     const rowDiv = document.createElement("div");
     rowDiv.className = "manage-row";
 
     const infoDiv = document.createElement("div");
     const bold = document.createElement("b");
-    bold.textContent = norm(s.id);
+    bold.textContent = site.name;
     const span = document.createElement("span");
     span.className = "muted";
-    span.textContent = ` ${s.name}`;
+    span.textContent = ` ${site.lat.toFixed(4)}, ${site.lon.toFixed(4)}`;
     infoDiv.appendChild(bold);
     infoDiv.appendChild(span);
 
+    const actions = document.createElement("div");
+    actions.className = "manage-actions";
+
+    const modeSelect = document.createElement("select");
+    modeSelect.className = "manage-select";
+    [["worst", "Worst of"], ["blended", "Blended"]].forEach(([value, label]) => {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = label;
+      modeSelect.appendChild(opt);
+    });
+    modeSelect.value = site.mode || "worst";
+    listen(modeSelect, "change", async () => {
+      try {
+        await saveSite("PUT", `/api/sites/${encodeURIComponent(site.id)}`, { mode: modeSelect.value });
+        await loadSites();
+        await refreshWeather(true);
+      } catch (err) {
+        alert(`Could not update site: ${err.message}`);
+      }
+    });
+
     const removeBtn = document.createElement("button");
     removeBtn.className = "btn-remove";
     removeBtn.textContent = "Remove";
-    removeBtn.dataset.id = norm(s.id);
-
-    const handler = async () => {
-      removeStation(removeBtn.dataset.id);
-      renderManagePanel();
-      await refreshWeather(true);
-    };
-    removeBtn.addEventListener("click", handler);
-    managePanelListeners.push({ element: removeBtn, event: "click", handler });
+    listen(removeBtn, "click", async () => {
+      if (!confirm(`Remove landing site "${site.name}" for everyone?`)) return;
+      try {
+        await saveSite("DELETE", `/api/sites/${encodeURIComponent(site.id)}`);
+        await loadSites();
+        await refreshWeather(true);
+      } catch (err) {
+        alert(`Could not remove site: ${err.message}`);
+      }
+    });
 
+    actions.appendChild(modeSelect);
+    actions.appendChild(buildMuteButton(`SITE:${site.id}`, listen));
+    actions.appendChild(removeBtn);
     rowDiv.appendChild(infoDiv);
-    rowDiv.appendChild(removeBtn);
+    rowDiv.appendChild(actions);
     panel.appendChild(rowDiv);
   });
+
+  // Add form
+  const form = document.createElement("form");
+  form.className = "site-form";
+  const fields = [
+    ["name", "Name (e.g., CMC Helipad)", "text"],
+    ["lat", "Lat", "number"],
+    ["lon", "Lon", "number"],
+    ["elevationFt", "Elev ft", "number"]
+  ];
+  const inputs = {};
+  fields.forEach(([name, placeholder, type]) => {
+    const input = document.createElement("input");
+    input.name = name;
+    input.placeholder = placeholder;
+    input.type = type;
+    if (type === "number") input.step = "any";
+    if (name !== "elevationFt") input.required = true;
+    inputs[name] = input;
+    form.appendChild(input);
+  });
+  const addBtn = document.createElement("button");
+  addBtn.type = "submit";
+  addBtn.textContent = "Add site";
+  form.appendChild(addBtn);
+
+  listen(form, "submit", async (e) => {
+    e.preventDefault();
+    try {
+      await saveSite("POST", "/api/sites", {
+        name: inputs.name.value,
+        lat: inputs.lat.value,
+        lon: inputs.lon.value,
+        elevationFt: inputs.elevationFt.value
+      });
+      await loadSites();
+      await refreshWeather(true);
+    } catch (err) {
+      alert(`Could not add site: ${err.message}`);
+    }
+  });
+
+  panel.appendChild(form);
 }
 
 function initControls() {
@@ -470,18 +2169,38 @@ function initControls() {
   const addBtn = $("btn-add");
   const manageBtn = $("btn-manage");
   const clearCacheBtn = $("btn-clear-cache");
+  const minimumsSelect = $("minimums-select");
+  const xwindInput = $("xwind-limit");
+  const ageFreshInput = $("age-fresh");
+  const ageStaleInput = $("age-stale");
   const panel = $("manage-panel");
 
   addBtn?.addEventListener("click", async () => {
     const val = input.value;
-    if (!val) return;
-    addStation(val);
+    if (!val.trim()) return;
+
+    let st;
+    try {
+      st = await resolveStationInput(val);
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    if (st.unverified) {
+      if (!confirm(`Couldn't verify ${st.icao}: the weather service is unreachable. Add it unverified?`)) return;
+    } else if (!st.hasMetar && !confirm(`${st.icao} (${st.name}) has no METAR; only the ASOS fallback and nearby TAFs will show. Add it anyway?`)) {
+      return;
+    }
+
+    if (!st.unverified) stationDirectory.set(norm(st.icao), st);
+    addStation(st.icao, st.name || "");
     input.value = "";
     renderManagePanel();
-    // Refresh to get METAR data which will update the airport name
     await refreshWeather(true);
   });
 
+  initStationAutocomplete(input);
+
   input?.addEventListener("keydown", (e) => {
     if (e.key === "Enter") addBtn.click();
   });
@@ -489,8 +2208,38 @@ function initControls() {
   manageBtn?.addEventListener("click", () => {
     panel.classList.toggle("hidden");
     renderManagePanel();
+    if (!panel.classList.contains("hidden")) loadSites();
+  });
+
+  $("board-select")?.addEventListener("change", (e) => selectBoard(e.target.value));
+
+  minimumsSelect?.addEventListener("change", async () => {
+    setMinimumsProfile(minimumsSelect.value);
+    await refreshWeather(true);
+  });
+
+  if (xwindInput) xwindInput.value = String(xwindLimitKt);
+  xwindInput?.addEventListener("change", async () => {
+    setXwindLimit(xwindInput.value);
+    xwindInput.value = String(xwindLimitKt);
+    // Limit is applied client-side; cached payload is still valid
+    await refreshWeather(false);
   });
 
+  const showAgeLimits = () => {
+    if (ageFreshInput) ageFreshInput.value = String(ageLimits.freshMin);
+    if (ageStaleInput) ageStaleInput.value = String(ageLimits.staleMin);
+  };
+  showAgeLimits();
+  [ageFreshInput, ageStaleInput].forEach(inputEl => inputEl?.addEventListener("change", async () => {
+    if (!setAgeLimits(ageFreshInput.value, ageStaleInput.value)) {
+      alert("The stale limit must be longer than the fresh limit.");
+    }
+    showAgeLimits();
+    // Also applied client-side
+    await refreshWeather(false);
+  }));
+
   clearCacheBtn?.addEventListener("click", async () => {
     if (confirm("Clear weather data cache? This will force a fresh fetch of all weather data.")) {
       localStorage.removeItem(DATA_CACHE_KEY);
@@ -509,6 +2258,8 @@ function loadCachedData() {
     const obj = JSON.parse(raw);
     if (!obj || typeof obj.savedAt !== "number" || !obj.payload) return null;
     if (Date.now() - obj.savedAt > DATA_TTL_MS) return null;
+    if ((obj.payload.profile || "") !== (minimumsProfileId || "")) return null;
+    if ((obj.payload.board || "") !== (activeBoard?.id || "")) return null;
     return obj.payload;
   } catch {
     return null;
@@ -516,10 +2267,34 @@ function loadCachedData() {
 }
 
 function saveCachedData(payload) {
-  localStorage.setItem(DATA_CACHE_KEY, JSON.stringify({
-    savedAt: Date.now(),
-    payload
-  }));
+  const entry = JSON.stringify({ savedAt: Date.now(), payload });
+  localStorage.setItem(DATA_CACHE_KEY, entry);
+  localStorage.setItem(LAST_GOOD_KEY, entry);
+}
+
+// Never expires; only used when a fetch fails
+function loadLastGoodData() {
+  try {
+    const obj = JSON.parse(localStorage.getItem(LAST_GOOD_KEY) || "null");
+    if (!obj || typeof obj.savedAt !== "number" || !obj.payload) return null;
+    if ((obj.payload.board || "") !== (activeBoard?.id || "")) return null;
+    return obj;
+  } catch {
+    return null;
+  }
+}
+
+// Live updates patch the payload but keep savedAt, so full refreshes stay on schedule
+function updateCachedPayload(payload) {
+  try {
+    const obj = JSON.parse(localStorage.getItem(DATA_CACHE_KEY) || "null");
+    if (!obj || typeof obj.savedAt !== "number") return;
+    const entry = JSON.stringify({ savedAt: obj.savedAt, payload });
+    localStorage.setItem(DATA_CACHE_KEY, entry);
+    localStorage.setItem(LAST_GOOD_KEY, entry);
+  } catch (err) {
+    console.warn("Failed to update cached data:", err);
+  }
 }
 
 function isCacheStale() {
@@ -543,77 +2318,473 @@ function buildTafIds() {
   return Array.from(ids).join(",");
 }
 
+// Core sources: label for the UI, payload field, request URL
+const CORE_SOURCES = {
+  metar: {
+    label: "METAR",
+    field: "metars",
+    url: (ids, profileParam) => `/api/metarDecoded?ids=${encodeURIComponent(ids)}${profileParam}`
+  },
+  taf: {
+    label: "TAF",
+    field: "tafData",
+    url: (ids, profileParam) => `/api/tafTimeline?ids=${encodeURIComponent(buildTafIds())}&hours=24${profileParam}`
+  },
+  asos: {
+    label: "ASOS",
+    field: "asosRows",
+    // The server resolves each station to its IEM network
+    url: (ids, profileParam) => `/api/asosLatest?stations=${encodeURIComponent(ids)}${profileParam}`
+  }
+};
+
+async function fetchCoreSource(name, fetchOptions) {
+  const { label, url } = CORE_SOURCES[name];
+  const ids = stations.map(s => norm(s.id)).join(",");
+  const profileParam = minimumsProfileId ? `&profile=${encodeURIComponent(minimumsProfileId)}` : "";
+
+  const res = await fetch(url(ids, profileParam), fetchOptions);
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    throw new Error(`${label} fetch failed (${res.status}): ${text.slice(0, 120)}`);
+  }
+  let data;
+  try {
+    data = await res.json();
+  } catch (err) {
+    throw new Error(`Failed to parse ${label} response: ${err.message}`);
+  }
+  // X-Cache: STALE means the server answered from cache because upstream failed
+  return { data: Array.isArray(data) ? data : [], stale: res.headers.get("X-Cache") === "STALE" };
+}
+
+// Fetch some core sources; failures are reported per source instead of thrown
+async function fetchCoreSources(names, signal = null) {
+  const fetchOptions = signal ? { signal } : {};
+  const results = await Promise.allSettled(names.map(name => fetchCoreSource(name, fetchOptions)));
+  const at = new Date().toISOString();
+  const data = {};
+  const sources = {};
+
+  results.forEach((r, i) => {
+    const name = names[i];
+    if (r.status === "fulfilled") {
+      data[name] = r.value.data;
+      sources[name] = { ok: true, stale: r.value.stale, at };
+      return;
+    }
+    if (r.reason?.name === "AbortError") throw r.reason;
+    console.warn(`${CORE_SOURCES[name].label} unavailable:`, r.reason);
+    sources[name] = { ok: false, error: r.reason?.message || "Request failed", at };
+  });
+
+  return { data, sources };
+}
+
 async function fetchAirportsData(signal = null) {
   // Handle empty stations array
   if (!stations || stations.length === 0) {
     return {
       fetchedAt: new Date().toISOString(),
+      profile: minimumsProfileId || "",
+      board: activeBoard?.id || "",
       metars: [],
       tafData: [],
-      asosRows: []
+      asosRows: [],
+      sources: {},
+      asosHistory: [],
+      runways: [],
+      sites: [],
+      serverAlerts: []
     };
   }
 
   const metarIds = stations.map(s => norm(s.id)).join(",");
-  const tafIds = buildTafIds();
-  const asosStations = Array.from(new Set(stations.map(s => toAsosId(s.id)))).join(",");
 
   const fetchOptions = signal ? { signal } : {};
-
-  const [metarRes, tafRes, asosRes] = await Promise.all([
-    fetch(`/api/metar?ids=${encodeURIComponent(metarIds)}`, fetchOptions),
-    fetch(`/api/tafTimeline?ids=${encodeURIComponent(tafIds)}&hours=24`, fetchOptions),
-    fetch(`/api/asosLatest?network=${encodeURIComponent(ASOS_NETWORK)}&stations=${encodeURIComponent(asosStations)}`, fetchOptions)
+  const profile = minimumsProfileId || "";
+  const profileParam = profile ? `&profile=${encodeURIComponent(profile)}` : "";
+
+  const [core, historyRes, runwaysRes, sitesRes, alertsRes] = await Promise.all([
+    // METAR, TAF and ASOS each degrade on their own
+    fetchCoreSources(Object.keys(CORE_SOURCES), signal),
+    // History only feeds the sparklines and trend arrows
+    fetch(`/api/asosHistory?stations=${encodeURIComponent(metarIds)}&hours=${HISTORY_HOURS}`, fetchOptions).catch(() => null),
+    // Runways are optional: a failure here only hides wind components
+    fetch(`/api/runways?ids=${encodeURIComponent(metarIds)}`, fetchOptions).catch(() => null),
+    // Landing sites are optional too
+    fetch(`/api/sites/weather?hours=24${profileParam}`, fetchOptions).catch(() => null),
+    // Alert log state (acknowledgements); without it alerts are only dismissed locally
+    fetch(`/api/alerts?ids=${encodeURIComponent(metarIds)}`, fetchOptions).catch(() => null)
   ]);
 
-  if (!metarRes.ok) {
-    const text = await metarRes.text().catch(() => "");
-    throw new Error(`METAR fetch failed (${metarRes.status}): ${text.slice(0, 120)}`);
+  // Nothing to show at all: let the caller fall back to the last good payload
+  if (Object.values(core.sources).every(src => !src.ok)) {
+    throw new Error(Object.values(core.sources).map(src => src.error).join("; "));
   }
-  if (!tafRes.ok) {
-    const t = await tafRes.text().catch(() => "");
-    throw new Error(`TAF timeline fetch failed (${tafRes.status}): ${t.slice(0, 120)}`);
+
+  let asosHistory = [];
+  if (historyRes?.ok) {
+    asosHistory = await historyRes.json().catch(() => []);
   }
-  if (!asosRes.ok) {
-    const text = await asosRes.text().catch(() => "");
-    throw new Error(`ASOS fetch failed (${asosRes.status}): ${text.slice(0, 120)}`);
+
+  let runways = [];
+  if (runwaysRes?.ok) {
+    runways = await runwaysRes.json().catch(() => []);
   }
 
-  let metars, tafData, asosRows;
-  try {
-    [metars, tafData, asosRows] = await Promise.all([
-      metarRes.json(),
-      tafRes.json(),
-      asosRes.json()
-    ]);
-  } catch (err) {
-    throw new Error(`Failed to parse response: ${err.message}`);
+  let siteWeather = [];
+  if (sitesRes?.ok) {
+    siteWeather = await sitesRes.json().catch(() => []);
+  }
+
+  let serverAlerts = [];
+  if (alertsRes?.ok) {
+    serverAlerts = await alertsRes.json().catch(() => []);
   }
 
   return {
     fetchedAt: new Date().toISOString(),
-    metars: Array.isArray(metars) ? metars : [],
-    tafData: Array.isArray(tafData) ? tafData : [],
-    asosRows: Array.isArray(asosRows) ? asosRows : []
+    profile,
+    board: activeBoard?.id || "",
+    metars: core.data.metar || [],
+    tafData: core.data.taf || [],
+    asosRows: core.data.asos || [],
+    sources: core.sources,
+    asosHistory: Array.isArray(asosHistory) ? asosHistory : [],
+    runways: Array.isArray(runways) ? runways : [],
+    sites: Array.isArray(siteWeather) ? siteWeather : [],
+    serverAlerts: Array.isArray(serverAlerts) ? serverAlerts : []
   };
 }
 
 /************************************
  * Render from payload (no fetch)
  ************************************/
-function renderFromPayload(payload) {
-  const list = $("airport-list");
-  if (!list) return;
+// One airport card plus the alerts it raises
+function renderStationCard(st, { metarMap, tafMap, asosMap, historyMap, runwayMap, sources }) {
+  const alerts = [];
+
+  const stKey = norm(st.id);
+  const metar = metarMap.get(stKey) || null;
+  const asos = asosMap.get(stKey) || null;
+
+  // timeline with overrides
+  // Check if this station has a TAF override (e.g., KMJX uses KWRI's TAF)
+  const overrideTarget = tafOverride[stKey];
+  const ownTaf = tafMap.get(stKey) || null;
+  const overrideTaf = overrideTarget ? (tafMap.get(norm(overrideTarget)) || null) : null;
+  let timeline = [];
+  // Shown above the timeline whenever an override is configured
+  let timelineSource = null;
+  
+  if (overrideTarget) {
+    // Station has an override - try to get the override target's TAF
+    const overrideTimeline = overrideTaf?.timeline;
+    if (Array.isArray(overrideTimeline) && overrideTimeline.length > 0) {
+      timeline = overrideTimeline;
+      timelineSource = `Forecast borrowed from TAF ${norm(overrideTarget)}`;
+    } else {
+      timelineSource = `TAF ${norm(overrideTarget)} unavailable — showing ${stKey}'s own TAF`;
+      // Override target not found or empty - try station's own TAF as fallback
+      const ownTimeline = ownTaf?.timeline;
+      if (Array.isArray(ownTimeline) && ownTimeline.length > 0) {
+        timeline = ownTimeline;
+      }
+    }
+  } else {
+    // No override - use station's own TAF
+    const ownTimeline = ownTaf?.timeline;
+    if (Array.isArray(ownTimeline)) {
+      timeline = ownTimeline;
+    }
+  }
+  
+  // Ensure timeline is always an array
+  if (!Array.isArray(timeline)) timeline = [];
+
+  // card
+  const card = cloneTpl("tpl-airport-card");
+  card.setAttribute("data-airport-id", stKey);
+
+  const titleEl = card.querySelector(".js-name");
+  // Clear any existing content
+  titleEl.textContent = "";
+  // Add airport name
+  const nameSpan = document.createElement("span");
+  nameSpan.textContent = st.name;
+  titleEl.appendChild(nameSpan);
+  // Add chevron icon
+  const chevron = document.createElement("span");
+  chevron.className = "chevron";
+  chevron.innerHTML = "▼";
+  titleEl.appendChild(chevron);
+  titleEl.setAttribute("role", "button");
+  titleEl.setAttribute("tabindex", "0");
+
+  const onToggle = () => {
+    toggleCard(stKey);
+    applyExpandedState(card, stKey);
+  };
+
+  titleEl.addEventListener("click", onToggle);
+  titleEl.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      onToggle();
+    }
+  });
+
+  // obs selection: METAR -> ASOS fallback, skipping stale reports;
+  // if every report is stale the freshest is shown greyed out but sets no category
+  const candidates = [obsFromMetar(metar), obsFromAsos(asos)].filter(Boolean);
+  const obs = candidates.find(o => !isStaleAge(o.ageMinutes)) || candidates[0] || null;
+  const obsStale = Boolean(obs) && isStaleAge(obs.ageMinutes);
+
+  const vis = obs ? obs.vis : null;
+  const ceil = obs ? obs.ceil : null;
+  const wind = obs ? obs.wind : null;
+  const gust = obs ? obs.gust : null;
+  const ageMinutes = obs ? obs.ageMinutes : null;
+  const minimums = obs && !obsStale ? obs.minimums : null;
+  // Runway components from an old wind would raise crosswind alerts for nothing
+  const windObs = obs && !obsStale ? obs.windObs : null;
+
+  // No usable observation is "unk", never a default VFR
+  const category = obs && !obsStale ? obs.category : "unk";
+  card.classList.add(category);
+  card.classList.toggle("obs-stale", obsStale);
+
+  // Say which data is missing because its source failed, not because the station has none
+  const sourceDown = name => sources[name] && !sources[name].ok;
+  const missing = [];
+  if (sourceDown("metar")) missing.push("METAR unavailable");
+  if (sourceDown("taf") && !timeline.length) missing.push("TAF unavailable");
+  if (sourceDown("asos") && !metar) missing.push("ASOS unavailable");
+  // ...and what the category could not be based on
+  if (!obs) {
+    missing.push(sourceDown("metar") || sourceDown("asos") ? "No observation" : "No METAR or ASOS in 24h");
+  } else if (!obsStale) {
+    missing.push(...obs.reasons.map(capitalize));
+  }
+  const warnEl = card.querySelector(".js-source-warn");
+  if (warnEl) warnEl.textContent = missing.join(" · ");
+
+  const ageEl = card.querySelector(".js-age");
+  if (ageEl) {
+    if (obs) {
+      ageEl.dataset.source = obs.source;
+      ageEl.dataset.time = obs.time || "";
+      ageEl.dataset.stale = obsStale ? "1" : "";
+    }
+    showObsAge(ageEl, obs ? ageMinutes : undefined);
+  }
+
+  const windLine = card.querySelector(".js-windline");
+  const windEl = card.querySelector(".js-wind");
+  const gustEl = card.querySelector(".js-gust");
+  const xwindEl = card.querySelector(".js-xwind");
+
+  const runways = runwayMap.get(stKey) || [];
+  const rwyWind = bestRunwayWind(runways, windObs);
+
+  windEl.textContent = (typeof wind === "number") ? `Wind: ${wind} kt` : "";
+  gustEl.textContent = (typeof gust === "number") ? `Gust: ${gust} kt` : "";
+  if (xwindEl) {
+    xwindEl.textContent = rwyWind ? formatRunwayWind(rwyWind) : "";
+    xwindEl.classList.toggle("xwind-exceeded", exceedsXwind(rwyWind));
+  }
+  windLine.style.display = (!windEl.textContent && !gustEl.textContent && !xwindEl?.textContent) ? "none" : "";
+
+  const pillEl = card.querySelector(".js-pill");
+  pillEl.textContent = category.toUpperCase();
+  pillEl.classList.remove("vfr", "mvfr", "ifr", "lifr");
+  pillEl.classList.add(category);
+
+  const goEl = card.querySelector(".js-go");
+  if (goEl && minimums) {
+    const status = minimums.status || "unk";
+    goEl.textContent = GO_LABELS[status] || "UNK";
+    goEl.classList.add(`status-${status}`);
+    goEl.title = minimumsTooltip(minimums);
+  } else if (goEl && obsStale && obs.minimums) {
+    goEl.textContent = GO_LABELS.unk;
+    goEl.classList.add("status-unk");
+    goEl.title = `Minimums: unknown (${obs.source} is ${formatAgeText(ageMinutes)})`;
+  }
+
+  // Collapsed metrics (right side, hidden when expanded)
+  card.querySelector(".js-vis-collapsed").textContent = formatVisibility(vis);
+  card.querySelector(".js-ceil-collapsed").textContent = formatCeiling(ceil, obs?.ceilState);
+
+  // Expanded metrics (below airport name, shown when expanded)
+  card.querySelector(".js-vis-expanded").textContent = formatVisibility(vis);
+  card.querySelector(".js-ceil-expanded").textContent = formatCeiling(ceil, obs?.ceilState);
+
+  const sourceEl = card.querySelector(".js-timeline-source");
+  if (sourceEl) sourceEl.textContent = timelineSource || "";
+
+  const timelineContainer = card.querySelector(".js-timeline");
+  if (timelineContainer) {
+    renderTimelineInto(timelineContainer, timeline, runways);
+  }
+
+  const history = historyMap.get(stKey) || null;
+  renderTrendInto(card.querySelector(".js-trend"), history);
+  renderSparksInto(card.querySelector(".js-spark"), history);
+
+  renderRawReportsInto(card.querySelector(".js-raw"), {
+    stKey,
+    metar,
+    ownTaf,
+    overrideId: overrideTarget ? norm(overrideTarget) : null,
+    overrideTaf
+  });
+  applyExpandedState(card, stKey);
+
+  // alerts
+  if (category === "ifr" || category === "lifr") {
+    alerts.push({ type: "now", name: st.name, icaoId: stKey, cat: category });
+  }
+
+  if (obsStale) {
+    alerts.push({ type: "stale", name: st.name, icaoId: stKey, cat: "unk", source: obs.source, ageMinutes });
+  }
+
+  if (exceedsXwind(rwyWind)) {
+    alerts.push({
+      type: "xwind",
+      name: st.name,
+      cat: "xwind",
+      runway: rwyWind.runway,
+      crosswind: rwyWind.gustCrosswind,
+      approx: rwyWind.approx,
+      limit: xwindLimitKt
+    });
+  } else {
+    const xwHour = timeline.slice(0, IFR_LOOKAHEAD_HOURS)
+      .map(h => ({ h, c: bestRunwayWind(runways, { dir: h.windDir, speed: h.windSpeed, gust: h.windGust }) }))
+      .find(x => exceedsXwind(x.c));
+    if (xwHour) {
+      alerts.push({
+        type: "xwind",
+        name: st.name,
+        cat: "xwind",
+        runway: xwHour.c.runway,
+        crosswind: xwHour.c.gustCrosswind,
+        approx: xwHour.c.approx,
+        limit: xwindLimitKt,
+        hourIso: xwHour.h.hourIso
+      });
+    }
+  }
+
+  const firstIfr = findFirstIfrHour(timeline, IFR_LOOKAHEAD_HOURS);
+  if (firstIfr) {
+    alerts.push({
+      type: "forecast",
+      name: st.name,
+      icaoId: stKey,
+      cat: (firstIfr.cat || "ifr").toLowerCase(),
+      qualifier: firstIfr.qualifier || null,
+      hourIso: firstIfr.hourIso
+    });
+  }
+
+  const state = {
+    name: st.name,
+    cat: category,
+    status: minimums?.status || null,
+    forecast: firstIfr ? { cat: (firstIfr.cat || "ifr").toLowerCase(), hourIso: firstIfr.hourIso, qualifier: firstIfr.qualifier || null } : null
+  };
+
+  return { card, alerts, state };
+}
+
+// Canonical shape from /api/metarDecoded
+function obsFromMetar(metar) {
+  if (!metar) return null;
+  const vis = parseVisibility(metar.visibility?.sm);
+  const ceil = metar.ceilingFt ?? null;
+  // Older payloads have no ceilingState; a null ceiling there meant "no layer"
+  const ceilState = metar.ceilingState || (ceil != null ? "known" : "unlimited");
+  return {
+    source: "METAR",
+    vis,
+    ceil,
+    ceilState,
+    category: metar.flightCategory || fallbackCategory(vis, ceil, ceilState),
+    reasons: metar.categoryReasons || [],
+    wind: typeof metar.wind?.speedKt === "number" ? metar.wind.speedKt : null,
+    gust: typeof metar.wind?.gustKt === "number" ? metar.wind.gustKt : null,
+    windObs: metar.wind ? {
+      dir: metar.wind.dirDeg,
+      speed: metar.wind.speedKt,
+      gust: metar.wind.gustKt,
+      variable: metar.wind.variable,
+      varFrom: metar.wind.varFromDeg,
+      varTo: metar.wind.varToDeg
+    } : null,
+    time: metar.obsTime,
+    ageMinutes: minutesSince(metar.obsTime),
+    minimums: metar.minimums || null
+  };
+}
+
+// Latest row from /api/asosLatest (24h window, so it can be old)
+function obsFromAsos(asos) {
+  if (!asos) return null;
+  const vis = typeof asos.vsby === "number" ? asos.vsby : null;
+  const found = ceilingFromAsos(asos);
+  const ceil = typeof found === "number" ? found : null;
+  const ceilState = asos.ceilingState || (ceil != null ? "known" : "missing");
+  return {
+    source: "ASOS",
+    vis,
+    ceil,
+    ceilState,
+    category: asos.flightCategory || fallbackCategory(vis, ceil, ceilState),
+    reasons: asos.categoryReasons || [],
+    wind: typeof asos.sped === "number" ? asos.sped : null,
+    gust: typeof asos.gust === "number" ? asos.gust : null,
+    windObs: typeof asos.sped === "number" ? { dir: asos.wdir, speed: asos.sped, gust: asos.gust } : null,
+    time: asos.validUtc,
+    ageMinutes: minutesSince(asos.validUtc),
+    minimums: asos.minimums || null
+  };
+}
 
+function buildPayloadMaps(payload) {
   const metarMap = new Map((payload.metars || []).map(m => [norm(m.icaoId), m]));
   // Build TAF map - ensure icaoId is normalized and timeline is always an array
   // Preserve all timeline properties (vis, ceil, windSpeed, etc.) for tooltips
   const tafMap = new Map((payload.tafData || []).map(t => {
     const key = norm(t.icaoId || t.stationId || t.station || "");
     const timeline = Array.isArray(t.timeline) ? t.timeline : [];
-    return [key, timeline];
+    return [key, { timeline, rawTAF: t.rawTAF || null }];
   }).filter(([key]) => key)); // Filter out entries with empty keys
-  const asosMap = new Map((payload.asosRows || []).map(r => [norm(r.station), r]));
+  // Keyed by ICAO id (the server resolves IEM networks and identifiers)
+  const asosMap = new Map((payload.asosRows || []).map(r => [norm(r.icaoId || r.station), r]));
+  const historyMap = new Map((payload.asosHistory || []).map(h => [norm(h.icaoId || h.station), h]));
+  const runwayMap = new Map((payload.runways || []).map(r => [norm(r.icaoId), r.runways || []]));
+  const sources = payload.sources || {};
+  return { metarMap, tafMap, asosMap, historyMap, runwayMap, sources };
+}
+
+// Latest rendered payload; live updates patch it in place
+let currentPayload = null;
+// card key -> alerts raised by that card
+const alertsByCard = new Map();
+// card key -> { name, cat, status, forecast } for change notifications
+const statesByCard = new Map();
+
+function renderFromPayload(payload) {
+  const list = $("airport-list");
+  if (!list) return;
+
+  currentPayload = payload;
+  const maps = buildPayloadMaps(payload);
+  const { metarMap } = maps;
 
   // Helper function to clean airport names (remove state/country suffixes)
   function cleanAirportName(name) {
@@ -627,57 +2798,16 @@ function renderFromPayload(payload) {
       .trim();
   }
 
-  // Airport name lookup table (fallback if METAR doesn't provide names)
-  const airportNameLookup = {
-    "KMJX": "Ocean County Airport",
-    "KWRI": "McGuire",
-    "KACY": "Atlantic City",
-    "KBLM": "Belmar / Monmouth",
-    "KNEL": "Lakehurst NAS",
-    "KSMQ": "Somerset",
-    "KPHL": "Philadelphia International Airport",
-    "KTTN": "Trenton",
-    "KEWR": "Newark Liberty International Airport",
-    "KLGA": "LaGuardia Airport",
-    "KJFK": "John F. Kennedy International Airport",
-    "KMMU": "Morristown",
-    "KN07": "Lincoln Park",
-    "KCDW": "Essex County",
-    "K12N": "Andover",
-    "KN40": "South Jersey Regional",
-    "KILG": "Wilmington",
-    "KRDG": "Reading",
-    "KABE": "Allentown",
-    "KMDT": "Harrisburg",
-    "KIPT": "Williamsport",
-    "KAVP": "Wilkes-Barre/Scranton",
-    "KERI": "Erie",
-    "KBWI": "Baltimore/Washington International",
-    "KDCA": "Ronald Reagan Washington National",
-    "KIAD": "Washington Dulles International"
-  };
-
-  // Update station names from METAR data or lookup table
+  // Update station names from the station directory or METAR data
   let stationsUpdated = false;
   stations.forEach(st => {
     const stKey = norm(st.id);
-    let airportName = null;
-    
-    // First try METAR data
-    const metar = metarMap.get(stKey);
-    if (metar) {
-      // Try multiple possible name fields from METAR response
-      airportName = metar.name || 
-                   metar.stationName || 
-                   metar.site || 
-                   metar.airport || 
-                   metar.facilityName ||
-                   null;
-    }
+    // Directory names are curated; METAR names are "City/Field, ST, US" style
+    let airportName = stationDirectory.get(stKey)?.name || null;
     
-    // Fallback to lookup table if METAR doesn't have name
     if (!airportName) {
-      airportName = airportNameLookup[stKey] || null;
+      const metar = metarMap.get(stKey);
+      if (metar) airportName = metar.name || null;
     }
     
     // Only update if name is still the ICAO code (not manually set by user)
@@ -690,165 +2820,230 @@ function renderFromPayload(payload) {
       }
     }
   });
-  if (stationsUpdated) {
-    saveStationsToStorage(stations);
+  // Filled-in names stay on this device; only explicit edits are PUT to a shared board
+  if (stationsUpdated && !activeBoard) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(stations));
   }
 
   list.replaceChildren();
-
-  const alerts = [];
+  alertsByCard.clear();
+  statesByCard.clear();
 
   stations.forEach((st) => {
     if (!st || !st.id) return; // Skip invalid stations
-    
-    const stKey = norm(st.id);
-    const metar = metarMap.get(stKey) || null;
-    const asos = asosMap.get(norm(toAsosId(st.id))) || null;
+    const { card, alerts: cardAlerts, state } = renderStationCard(st, maps);
+    alertsByCard.set(norm(st.id), cardAlerts);
+    statesByCard.set(norm(st.id), state);
+    list.appendChild(card);
+  });
 
-    // timeline with overrides
-    // Check if this station has a TAF override (e.g., KMJX uses KWRI's TAF)
-    const overrideTarget = tafOverride[stKey];
-    let timeline = [];
-    
-    if (overrideTarget) {
-      // Station has an override - try to get the override target's TAF
-      const overrideKey = norm(overrideTarget);
-      const overrideTimeline = tafMap.get(overrideKey);
-      if (Array.isArray(overrideTimeline) && overrideTimeline.length > 0) {
-        timeline = overrideTimeline;
-      } else {
-        // Override target not found or empty - try station's own TAF as fallback
-        const ownTimeline = tafMap.get(stKey);
-        if (Array.isArray(ownTimeline) && ownTimeline.length > 0) {
-          timeline = ownTimeline;
-        }
-      }
-    } else {
-      // No override - use station's own TAF
-      const ownTimeline = tafMap.get(stKey);
-      if (Array.isArray(ownTimeline)) {
-        timeline = ownTimeline;
+  const siteWeather = Array.isArray(payload.sites) ? payload.sites : [];
+  if (siteWeather.length) {
+    const heading = document.createElement("div");
+    heading.className = "section-title";
+    heading.textContent = "Landing Sites";
+    list.appendChild(heading);
+
+    siteWeather.forEach(sw => {
+      if (!sw?.site?.id) return;
+      const { card, category, timeline } = renderSiteCard(sw);
+      const name = sw.site.name;
+      const alerts = [];
+      alertsByCard.set(`SITE:${sw.site.id}`, alerts);
+
+      if (category === "ifr" || category === "lifr") {
+        alerts.push({ type: "now", name, cat: category });
       }
-    }
-    
-    // Ensure timeline is always an array
-    if (!Array.isArray(timeline)) timeline = [];
-
-    // card
-    const card = cloneTpl("tpl-airport-card");
-    card.setAttribute("data-airport-id", stKey);
-
-    const titleEl = card.querySelector(".js-name");
-    // Clear any existing content
-    titleEl.textContent = "";
-    // Add airport name
-    const nameSpan = document.createElement("span");
-    nameSpan.textContent = st.name;
-    titleEl.appendChild(nameSpan);
-    // Add chevron icon
-    const chevron = document.createElement("span");
-    chevron.className = "chevron";
-    chevron.innerHTML = "▼";
-    titleEl.appendChild(chevron);
-    titleEl.setAttribute("role", "button");
-    titleEl.setAttribute("tabindex", "0");
-
-    const onToggle = () => {
-      toggleCard(stKey);
-      applyExpandedState(card, stKey);
-    };
-
-    titleEl.addEventListener("click", onToggle);
-    titleEl.addEventListener("keydown", (e) => {
-      if (e.key === "Enter" || e.key === " ") {
-        e.preventDefault();
-        onToggle();
+      const firstIfr = findFirstIfrHour(timeline, IFR_LOOKAHEAD_HOURS);
+      if (firstIfr) {
+        alerts.push({
+          type: "forecast",
+          name,
+          cat: (firstIfr.cat || "ifr").toLowerCase(),
+          qualifier: firstIfr.qualifier || null,
+          hourIso: firstIfr.hourIso
+        });
       }
+      statesByCard.set(`SITE:${sw.site.id}`, {
+        name,
+        cat: category,
+        status: sw.minimums?.status || null,
+        forecast: firstIfr ? { cat: (firstIfr.cat || "ifr").toLowerCase(), hourIso: firstIfr.hourIso, qualifier: firstIfr.qualifier || null } : null
+      });
+      list.appendChild(card);
     });
+  }
 
-    // obs selection: METAR -> ASOS fallback
-    let vis = null;
-    let ceil = null;
-    let wind = null;
-    let gust = null;
-    let ageMinutes = null;
-
-    if (metar) {
-      vis = parseVisibility(metar.visib);
-      ceil = ceilingFromMetarClouds(metar.clouds || []);
-      if (ceil == null) ceil = 10000;
-
-      const wspd = metar.wspd ?? metar.wspdKt ?? null;
-      const wgst = metar.wgst ?? metar.wgstKt ?? null;
-      if (typeof wspd === "number") wind = wspd;
-      if (typeof wgst === "number") gust = wgst;
-
-      ageMinutes = minutesSince(metar.obsTime);
-    } else if (asos) {
-      if (typeof asos.vsby === "number") vis = asos.vsby;
-      const aCeil = ceilingFromAsos(asos);
-      if (typeof aCeil === "number") ceil = aCeil;
+  renderAlerts([...alertsByCard.values()].flat());
+  notifyTransitions(statesByCard);
+  renderSourceHealth(payload);
+  ensureStream();
+}
 
-      if (typeof asos.sped === "number") wind = asos.sped;
-      if (typeof asos.gust === "number") gust = asos.gust;
+/************************************
+ * Source health + retry:
+ * - Failed core sources are retried alone, with backoff
+ * - Successful retries are merged into the payload on screen
+ ************************************/
+const SOURCE_RETRY_BASE_MS = 30 * 1000;
+let sourceRetryTimer = null;
+let sourceRetryAttempt = 0;
+let sourceRetryAt = null;
+
+function failedSources(payload) {
+  const sources = payload?.sources || {};
+  return Object.keys(CORE_SOURCES).filter(name => sources[name] && !sources[name].ok);
+}
 
-      ageMinutes = minutesSince(asos.validUtc);
+function renderSourceHealth(payload) {
+  const el = $("source-health");
+  if (!el) return;
+  el.replaceChildren();
+  const sources = payload?.sources || {};
+
+  Object.entries(CORE_SOURCES).forEach(([name, { label }]) => {
+    const src = sources[name];
+    if (!src) return;
+    const state = !src.ok ? "down" : (src.stale ? "stale" : "ok");
+    const chip = document.createElement("span");
+    chip.className = `source-chip source-${state}`;
+    chip.textContent = `${label} ${state}`;
+    if (!src.ok) {
+      const retry = sourceRetryAt
+        ? ` — retrying at ${new Date(sourceRetryAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", hour12: false })}`
+        : "";
+      chip.title = `${src.error}${retry}`;
+    } else if (src.stale) {
+      chip.title = "Upstream unreachable; the server is serving its last cached copy";
     }
+    el.appendChild(chip);
+  });
+}
 
+function scheduleSourceRetry(payload) {
+  if (sourceRetryTimer) clearTimeout(sourceRetryTimer);
+  sourceRetryTimer = null;
+  sourceRetryAt = null;
 
-    const hasObs = (vis != null) || (ceil != null);
-    if (vis == null) vis = 10;
-    if (ceil == null) ceil = 10000;
+  if (!failedSources(payload).length) {
+    sourceRetryAttempt = 0;
+  } else {
+    // 30s, 1m, 2m, ... capped at the regular refresh interval
+    const delay = Math.min(SOURCE_RETRY_BASE_MS * 2 ** sourceRetryAttempt, DATA_TTL_MS);
+    sourceRetryAttempt++;
+    sourceRetryAt = Date.now() + delay;
+    sourceRetryTimer = setTimeout(retryFailedSources, delay);
+  }
+  renderSourceHealth(payload);
+}
 
-    const category = flightCategoryFromObs(vis, ceil);
-    card.classList.add(category);
+function cancelSourceRetry() {
+  if (sourceRetryTimer) clearTimeout(sourceRetryTimer);
+  sourceRetryTimer = null;
+  sourceRetryAt = null;
+  sourceRetryAttempt = 0;
+}
 
-    const windLine = card.querySelector(".js-windline");
-    const windEl = card.querySelector(".js-wind");
-    const gustEl = card.querySelector(".js-gust");
+async function retryFailedSources() {
+  sourceRetryTimer = null;
+  const payload = currentPayload;
+  const names = failedSources(payload);
+  // A full refresh in flight will schedule its own retries
+  if (!names.length || refreshInProgress) return;
 
-    windEl.textContent = (typeof wind === "number") ? `Wind: ${wind} kt` : "";
-    gustEl.textContent = (typeof gust === "number") ? `Gust: ${gust} kt` : "";
-    windLine.style.display = (!windEl.textContent && !gustEl.textContent) ? "none" : "";
+  const { data, sources } = await fetchCoreSources(names);
+  // Replaced by a full refresh meanwhile
+  if (payload !== currentPayload) return;
 
-    const pillEl = card.querySelector(".js-pill");
-    pillEl.textContent = category.toUpperCase();
-    pillEl.classList.remove("vfr", "mvfr", "ifr", "lifr");
-    pillEl.classList.add(category);
+  names.forEach(name => {
+    payload.sources[name] = sources[name];
+    if (sources[name].ok) payload[CORE_SOURCES[name].field] = data[name];
+  });
+  updateCachedPayload(payload);
+  renderFromPayload(payload);
+  scheduleSourceRetry(payload);
+}
 
-    // Collapsed metrics (right side, hidden when expanded)
-    card.querySelector(".js-vis-collapsed").textContent = hasObs ? `${vis.toFixed(vis % 1 === 0 ? 0 : 1)}sm` : "--";
-    card.querySelector(".js-ceil-collapsed").textContent = hasObs ? `${ceil.toLocaleString()}ft` : "--";
+/************************************
+ * Live updates (server push)
+ ************************************/
+let eventSource = null;
+let streamQuery = "";
 
-    // Expanded metrics (below airport name, shown when expanded)
-    card.querySelector(".js-vis-expanded").textContent = hasObs ? `${vis.toFixed(vis % 1 === 0 ? 0 : 1)}sm` : "--";
-    card.querySelector(".js-ceil-expanded").textContent = hasObs ? `${ceil.toLocaleString()}ft` : "--";
+function ensureStream() {
+  if (!("EventSource" in window)) return;
 
-    const timelineContainer = card.querySelector(".js-timeline");
-    if (timelineContainer) {
-      renderTimelineInto(timelineContainer, timeline);
-    }
-    applyExpandedState(card, stKey);
+  const params = new URLSearchParams({
+    metar: stations.map(s => norm(s.id)).join(","),
+    taf: buildTafIds(),
+    asos: stations.map(s => norm(s.id)).join(","),
+    hours: "24"
+  });
+  if (minimumsProfileId) params.set("profile", minimumsProfileId);
+  const query = params.toString();
+  if (eventSource && query === streamQuery) return;
+
+  eventSource?.close();
+  eventSource = null;
+  streamQuery = query;
+  if (!stations.length) return;
+
+  // EventSource reconnects on its own after network drops
+  eventSource = new EventSource(`/api/stream?${query}`);
+  ["metar", "taf", "asos"].forEach(kind => {
+    eventSource.addEventListener(kind, (e) => {
+      try {
+        applyStreamUpdate(kind, JSON.parse(e.data));
+      } catch (err) {
+        console.warn(`Bad ${kind} update:`, err);
+      }
+    });
+  });
+}
 
-    // alerts
-    if (category === "ifr" || category === "lifr") {
-      alerts.push({ type: "now", name: st.name, cat: category });
-    }
+function upsertBy(list, match, item) {
+  const out = (list || []).filter(x => !match(x));
+  out.push(item);
+  return out;
+}
 
-    const firstIfr = findFirstIfrHour(timeline, IFR_LOOKAHEAD_HOURS);
-    if (firstIfr) {
-      alerts.push({
-        type: "forecast",
-        name: st.name,
-        cat: (firstIfr.cat || "ifr").toLowerCase(),
-        hourIso: firstIfr.hourIso
-      });
-    }
+function applyStreamUpdate(kind, data) {
+  const payload = currentPayload;
+  if (!payload) return;
+
+  const ids = stations.map(s => norm(s.id));
+  let affected = [];
+
+  if (kind === "metar") {
+    payload.metars = upsertBy(payload.metars, m => norm(m.icaoId) === data.icaoId, data.obs);
+    affected = ids.filter(id => id === data.icaoId);
+  } else if (kind === "taf") {
+    payload.tafData = upsertBy(payload.tafData, t => norm(t.icaoId) === data.icaoId, data.taf);
+    // Cards borrowing this TAF through an override change too
+    affected = ids.filter(id => id === data.icaoId || norm(tafOverride[id]) === data.icaoId);
+  } else if (kind === "asos") {
+    payload.asosRows = upsertBy(payload.asosRows, r => norm(r.icaoId) === data.icaoId, data.row);
+    affected = ids.filter(id => id === data.icaoId);
+  }
 
-    list.appendChild(card);
-  });
+  updateCachedPayload(payload);
+  const maps = buildPayloadMaps(payload);
+  affected.forEach(id => rerenderStationCard(id, maps, kind === "metar" && data.catChanged));
+  renderAlerts([...alertsByCard.values()].flat());
+  notifyTransitions(statesByCard);
+}
 
-  renderAlerts(alerts);
+// Swap one card in place; the rest of the list is untouched
+function rerenderStationCard(stKey, maps, flash = false) {
+  const st = stations.find(s => norm(s.id) === stKey);
+  const old = document.querySelector(`#airport-list [data-airport-id="${CSS.escape(stKey)}"]`);
+  if (!st || !old) return;
+
+  const { card, alerts, state } = renderStationCard(st, maps);
+  alertsByCard.set(stKey, alerts);
+  statesByCard.set(stKey, state);
+  if (flash) card.classList.add("flash-update");
+  old.replaceWith(card);
 }
 
 /************************************
@@ -873,6 +3068,7 @@ async function refreshWeather(force = false) {
     const cached = loadCachedData();
     if (cached) {
       renderFromPayload(cached);
+      scheduleSourceRetry(cached);
       return;
     }
   }
@@ -889,14 +3085,24 @@ async function refreshWeather(force = false) {
     setLoadingState(true);
     const payload = await fetchAirportsData(currentAbortController.signal);
     saveCachedData(payload);
+    setOffline(null);
     renderFromPayload(payload);
+    sourceRetryAttempt = 0;
+    scheduleSourceRetry(payload);
   } catch (err) {
     if (err.name === 'AbortError') {
       console.log("Request aborted");
       return;
     }
     console.error("Refresh failed:", err);
-    showError(err.message || "Failed to fetch weather data");
+    const lastGood = loadLastGoodData();
+    cancelSourceRetry();
+    if (lastGood) {
+      setOffline(lastGood.savedAt);
+      renderFromPayload(lastGood.payload);
+    } else {
+      showError(err.message || "Failed to fetch weather data");
+    }
   } finally {
     refreshInProgress = false;
     setLoadingState(false);
@@ -904,6 +3110,60 @@ async function refreshWeather(force = false) {
   }
 }
 
+/************************************
+ * Offline mode:
+ * - Failed fetches fall back to the last good payload
+ * - Banner says how old it is
+ * - Coming back online triggers a full refresh
+ ************************************/
+let offlineSince = null; // savedAt of the payload on screen while offline
+let offlineTimer = null;
+
+function setOffline(savedAt) {
+  offlineSince = savedAt;
+  const banner = $("offline-banner");
+  if (offlineTimer) {
+    clearInterval(offlineTimer);
+    offlineTimer = null;
+  }
+  if (savedAt == null) {
+    if (banner) banner.classList.add("hidden");
+    return;
+  }
+  updateOfflineBanner();
+  // Card ages keep counting on their own (see tickObsAges)
+  offlineTimer = setInterval(updateOfflineBanner, 60000);
+}
+
+function updateOfflineBanner() {
+  const banner = $("offline-banner");
+  if (!banner || offlineSince == null) return;
+  const d = new Date(offlineSince);
+  const hhmm = d.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", hour12: false });
+  const mins = Math.floor((Date.now() - offlineSince) / 60000);
+  banner.textContent = `Offline — data as of ${hhmm} (${formatAgeText(mins)})`;
+  banner.classList.remove("hidden");
+}
+
+window.addEventListener("online", () => {
+  refreshWeather(true).catch(console.error);
+  loadServerStatus();
+});
+
+window.addEventListener("offline", () => {
+  if (offlineSince != null) return;
+  const lastGood = loadLastGoodData();
+  if (lastGood) setOffline(lastGood.savedAt);
+});
+
+if ("serviceWorker" in navigator) {
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("sw.js").catch(err => {
+      console.warn("Service worker registration failed:", err);
+    });
+  });
+}
+
 let visibilityHandler = null;
 
 function startAutoRefresh() {
@@ -935,18 +3195,42 @@ function startAutoRefresh() {
  ************************************/
 // Ensure stations array is never empty
 if (!stations || stations.length === 0) {
-  stations = [...DEFAULT_STATIONS];
+  stations = DEFAULT_STATIONS.map(s => ({ ...s }));
   saveStationsToStorage(stations);
+  rebuildTafOverride();
 }
 
 initControls();
+initRoutePanel();
+initAlertLogPanel();
+initCheckPanel();
+initServerStatus();
+$("btn-briefing")?.addEventListener("click", openBriefing);
+
+// After a reload the chime needs one tap/click on the page to be allowed again
+document.addEventListener("pointerdown", () => {
+  if (notifySettings.enabled) ensureAudio();
+}, { once: true });
 renderManagePanel();
+loadSites();
 
 // Initial render: cache-first, then fetch if needed
-refreshWeather(false).catch(err => {
-  console.error(err);
-  showError(err.message || "Failed to load weather data");
-});
+// (board and profiles first so the first fetch uses the right stations and minimums)
+loadActiveBoard()
+  .catch(err => {
+    console.error(err);
+    alert(`${err.message}; showing your personal list instead.`);
+  })
+  .then(() => {
+    loadBoardList();
+    renderManagePanel();
+    return Promise.all([loadMinimumsProfiles(), loadStationDirectory(stations.map(s => s.id))]);
+  })
+  .then(() => refreshWeather(false))
+  .catch(err => {
+    console.error(err);
+    showError(err.message || "Failed to load weather data");
+  });
 
 // Auto refresh every 10 minutes
 startAutoRefresh();
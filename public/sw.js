@@ -0,0 +1,94 @@
+/* sw.js: keeps the app shell usable without a network.
+ * Weather data is not cached here; app.js keeps the last good payload
+ * in localStorage so it can label it with its age. */
+
+const SHELL_CACHE = "rwj-shell-v1";
+const SHELL_ASSETS = [
+  "/",
+  "/index.html",
+  "/app.js",
+  "/styles.css",
+  "/manifest.webmanifest",
+  "/icon-192.png",
+  "/icon-512.png"
+];
+// Must match the index.html they're loaded with, so they're network-first
+// like the document; the cache only serves them offline
+const SHELL_CODE = ["/app.js", "/styles.css"];
+
+// Board/profile/station lookups change rarely, so a stale copy beats nothing
+const CONFIG_APIS = ["/api/minimums", "/api/boards", "/api/stations", "/api/sites"];
+const CONFIG_API_PREFIXES = ["/api/boards/", "/api/stations/"];
+
+function isConfigApi(pathname) {
+  return CONFIG_APIS.includes(pathname) || CONFIG_API_PREFIXES.some(p => pathname.startsWith(p));
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_ASSETS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== SHELL_CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(request, fallbackUrl = null) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) cache.put(fallbackUrl || request, res.clone());
+    return res;
+  } catch (err) {
+    const cached = await cache.match(fallbackUrl || request);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(event.request);
+  const update = fetch(event.request)
+    .then(res => {
+      if (res.ok) cache.put(event.request, res.clone());
+      return res;
+    });
+  if (cached) {
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+  }
+  return update;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate" && url.pathname === "/") {
+    event.respondWith(networkFirst(request, "/index.html"));
+    return;
+  }
+  if (SHELL_CODE.includes(url.pathname)) {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+  if (SHELL_ASSETS.includes(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(event));
+    return;
+  }
+  if (isConfigApi(url.pathname)) {
+    event.respondWith(networkFirst(request));
+  }
+  // Weather, stream, briefing and check pages always go to the network
+});
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+/* ---------------------------------------------------------
+   Build data/stations.json (the station directory)
+
+   Source: the OurAirports airport + frequency dump, as shipped
+   in the aviation-data npm package (data/airfields.json):
+
+     npm pack aviation-data && tar xzf aviation-data-*.tgz
+     node scripts/build-stations.mjs package/data/airfields.json
+
+   Writes open US (and territory) airports, one row per line:
+   { icao, faa, name, city, state, lat, lon, elevFt, hasMetar,
+     hasTaf, iemNetwork }
+
+   OurAirports says nothing about METAR/TAF directly, so:
+     hasMetar    ASOS/AWOS/ATIS or tower frequency listed, scheduled
+                 service, or a medium/large airport
+     hasTaf      large airport, or medium with scheduled service
+     iemNetwork  <state>_ASOS for fields with automated weather
+                 (IEM files METAR-reporting AWOS under the state
+                 ASOS network; Guam and the Marianas under GU_ASOS),
+                 otherwise null so the ASOS fallback reports the
+                 station as unresolved instead of guessing
+
+   data/stations-curated.json holds hand-checked rows; their fields
+   win over the generated ones, and rows OurAirports lacks are kept.
+--------------------------------------------------------- */
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA = path.join(__dirname, "..", "data");
+
+const AIRPORT_TYPES = new Set(["small_airport", "medium_airport", "large_airport"]);
+const TERRITORIES = new Set(["PR", "VI", "GU", "MP", "AS"]);
+const WX_FREQ_RE = /\b(ASOS|AWOS|AWIS|ATIS)\b/i;
+const TOWER_FREQ_RE = /^(Tower|TWR)$/i;
+
+// IEM network per state; AS (Pago Pago) has no ASOS network there
+const networkFor = (state) =>
+  !state || state === "AS" ? null : state === "MP" ? "GU_ASOS" : `${state}_ASOS`;
+
+const round4 = (n) => Math.round(n * 1e4) / 1e4;
+
+function stateOf(a) {
+  if (a.country === "US") return (a.region || "").replace(/^US-/, "") || null;
+  return TERRITORIES.has(a.country) ? a.country : null;
+}
+
+// ICAO ids are four letters; anything else is an FAA LID only
+function idsOf(a) {
+  const ident = a.identifier;
+  if (!/^[A-Z]{4}$/.test(ident)) return { icao: null, faa: ident };
+  if (ident.startsWith("K")) return { icao: ident, faa: ident.slice(1) };
+  // Alaska, Hawaii, territories: the LID is the IATA-style code (PANC -> ANC)
+  return { icao: ident, faa: /^[A-Z0-9]{3}$/.test(a.iataCode || "") ? a.iataCode : null };
+}
+
+function stationFrom(a) {
+  const { icao, faa } = idsOf(a);
+  const freqs = a.frequencies || [];
+  const hasWxFreq = freqs.some(f => WX_FREQ_RE.test(`${f.type} ${f.description}`) || TOWER_FREQ_RE.test(f.type));
+  const bigger = a.type === "medium_airport" || a.type === "large_airport";
+  const hasMetar = hasWxFreq || bigger || a.scheduledService === true;
+  const state = stateOf(a);
+  return {
+    icao,
+    faa,
+    name: a.name,
+    city: a.municipality || null,
+    state,
+    lat: round4(a.latitude),
+    lon: round4(a.longitude),
+    elevFt: Number.isFinite(a.elevation) ? Math.round(a.elevation) : null,
+    hasMetar,
+    hasTaf: a.type === "large_airport" || (a.type === "medium_airport" && a.scheduledService === true),
+    iemNetwork: hasMetar ? networkFor(state) : null
+  };
+}
+
+// Curated fields win; iemNetwork follows the curated hasMetar/state unless set
+function applyCurated(generated, curated) {
+  const merged = { ...generated, ...curated };
+  if (curated.iemNetwork === undefined) merged.iemNetwork = merged.hasMetar ? networkFor(merged.state) : null;
+  return merged;
+}
+
+const FIELDS = ["icao", "faa", "name", "city", "state", "lat", "lon", "elevFt", "hasMetar", "hasTaf", "iemNetwork"];
+
+const formatRow = (s) => `  {${FIELDS.map(k => `"${k}": ${JSON.stringify(s[k] ?? null)}`).join(", ")}}`;
+
+function main() {
+  const [src, out = path.join(DATA, "stations.json")] = process.argv.slice(2);
+  if (!src) {
+    console.error("usage: node scripts/build-stations.mjs <airfields.json> [out.json]");
+    process.exit(1);
+  }
+
+  const airfields = JSON.parse(fs.readFileSync(src, "utf8"));
+  const curated = JSON.parse(fs.readFileSync(path.join(DATA, "stations-curated.json"), "utf8"));
+
+  const rows = airfields
+    .filter(a => AIRPORT_TYPES.has(a.type) && stateOf(a))
+    .filter(a => /^[A-Z0-9]{3,4}$/.test(a.identifier) && Number.isFinite(a.latitude) && Number.isFinite(a.longitude))
+    .map(stationFrom);
+
+  const byKey = new Map(rows.map(s => [s.icao || s.faa, s]));
+  for (const c of curated) {
+    const key = c.icao || c.faa;
+    const generated = byKey.get(key) || rows.find(s => s.faa && s.faa === c.faa);
+    if (generated) byKey.delete(generated.icao || generated.faa);
+    byKey.set(key, applyCurated(generated || {}, c));
+  }
+
+  const stations = [...byKey.values()].sort((a, b) => (a.icao || a.faa).localeCompare(b.icao || b.faa));
+  fs.writeFileSync(out, `[\n${stations.map(formatRow).join(",\n")}\n]\n`);
+
+  const count = (fn) => stations.filter(fn).length;
+  console.log(`${out}: ${stations.length} stations, ${count(s => s.hasMetar)} with METAR, ` +
+    `${count(s => s.hasTaf)} with TAF, ${count(s => s.hasMetar && !s.iemNetwork)} reporting without an IEM network`);
+}
+
+main();
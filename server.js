@@ -1,9 +1,14 @@
 // server.js
 import express from "express";
 import path from "path";
+import fs from "fs";
+import crypto from "crypto";
+import { EventEmitter } from "events";
 import { fileURLToPath } from "url";
 import fetch from "node-fetch";
 import rateLimit from "express-rate-limit";
+import PDFDocument from "pdfkit";
+import { parseMetar, parseTAFAsForecast, getCompositeForecastForDate } from "metar-taf-parser";
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -17,6 +22,52 @@ const __dirname = path.dirname(__filename);
 --------------------------------------------------------- */
 const TTL_MS = 10 * 60 * 1000; // 10 minutes
 
+// Upstream cache store: "memory" | "file" | "redis" (see Upstream cache)
+const CACHE_BACKEND = (process.env.CACHE_BACKEND || "memory").toLowerCase();
+const CACHE_MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES || 500);
+// How long past expiry an entry may still be served
+const CACHE_STALE_MS = Number(process.env.CACHE_STALE_MS || 6 * 60 * 60 * 1000);
+// CACHE_BACKEND=file: how often DATA_DIR/cache is trimmed to CACHE_MAX_ENTRIES
+const CACHE_SWEEP_MS = 10 * 60 * 1000;
+// Used with CACHE_BACKEND=redis ("redis" is an optional dependency)
+const REDIS_URL = process.env.REDIS_URL || "redis://localhost:6379";
+
+// Minimums profiles (per-program operational minimums)
+const MINIMUMS_FILE = process.env.MINIMUMS_FILE || path.join(__dirname, "data", "minimums.json");
+
+// Runway dataset: OurAirports runways.csv layout, or JSON
+const RUNWAYS_FILE = process.env.RUNWAYS_FILE || path.join(__dirname, "data", "runways.csv");
+
+// Station metadata (ICAO, FAA LID, name, location, METAR/TAF availability)
+const STATIONS_FILE = process.env.STATIONS_FILE || path.join(__dirname, "data", "stations.json");
+
+// Server-side storage (landing sites, ...); mount a Fly volume here
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "var");
+
+// Landing sites resolve to their nearest reporting stations
+const SITE_STATION_COUNT = Number(process.env.SITE_STATION_COUNT || 3);
+const SITE_MAX_RADIUS_NM = Number(process.env.SITE_MAX_RADIUS_NM || 50);
+
+// Background poller: stations requested within the last POLL_WATCH_HOURS,
+// plus POLL_BASE_STATIONS (ICAO ids), stay warm
+const POLL_ENABLED = process.env.POLL_ENABLED !== "0";
+const POLL_WATCH_HOURS = Number(process.env.POLL_WATCH_HOURS || 6);
+const POLL_BASE_STATIONS = (process.env.POLL_BASE_STATIONS || "KMJX,KWRI,KACY,KSMQ,KPHL,KTTN")
+  .split(",").map(s => s.trim().toUpperCase()).filter(Boolean);
+
+// Upstream status: latency/error-rate window, and how long an upstream
+// may fail before /api/status calls it down rather than degraded
+const STATUS_SAMPLE_SIZE = Number(process.env.STATUS_SAMPLE_SIZE || 200);
+const STATUS_DOWN_AFTER_MS = Number(process.env.STATUS_DOWN_AFTER_MS || 15 * 60 * 1000);
+
+// Observations older than this (minutes) don't set a station's category
+// in alerts or briefings (the client has its own, per-device limit)
+const OBS_STALE_MIN = Number(process.env.OBS_STALE_MIN || 90);
+
+// Used for day/night when a report has no coordinates (default: KMJX)
+const BASE_LAT = Number(process.env.BASE_LAT || 39.9275);
+const BASE_LON = Number(process.env.BASE_LON || -74.2924);
+
 /* ---------------------------------------------------------
    Basic logging
 --------------------------------------------------------- */
@@ -26,7 +77,8 @@ app.use((req, res, next) => {
 });
 
 /* ---------------------------------------------------------
-   Rate limit all /api routes
+   Rate limit all /api routes, plus the briefing pages, which
+   fetch upstream too.
    Tune "max" depending on how many clients you expect.
 --------------------------------------------------------- */
 const apiLimiter = rateLimit({
@@ -35,57 +87,530 @@ const apiLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false
 });
-app.use("/api/", apiLimiter);
+app.use(["/api/", "/briefing", "/briefing.pdf"], apiLimiter);
 
 /* ---------------------------------------------------------
-   Static
+   Static + JSON bodies
 --------------------------------------------------------- */
 app.use(express.static(path.join(__dirname, "public")));
+app.use(express.json({ limit: "100kb" }));
 
 /* ---------------------------------------------------------
-   Simple in-memory cache for upstream responses
-   (key -> { expires, status, body, contentType })
+   Upstream cache
+   (key -> { storedAt, expires, status, body, contentType })
+
+   CACHE_BACKEND picks the store:
+     memory  in-process LRU capped at CACHE_MAX_ENTRIES (default)
+     file    same LRU in front of DATA_DIR/cache, survives restarts;
+             evicted keys are unlinked and a sweep keeps the directory
+             at CACHE_MAX_ENTRIES files
+     redis   REDIS_URL, shared by every machine (needs the "redis" package)
+
+   Expired entries stay servable for CACHE_STALE_MS: a stale hit
+   is answered at once while a single background refresh runs,
+   and is what we fall back to when the upstream is down
+   (see cachedStations below).
 --------------------------------------------------------- */
-const upstreamCache = new Map();
+function createMemoryCache(maxEntries, onEvict = () => {}) {
+  const map = new Map();
+  return {
+    name: "memory",
+    async get(key) {
+      const v = map.get(key);
+      if (!v) return null;
+      // Map keeps insertion order: re-insert to mark as recently used
+      map.delete(key);
+      map.set(key, v);
+      return v;
+    },
+    async set(key, entry) {
+      map.delete(key);
+      map.set(key, entry);
+      while (map.size > maxEntries) {
+        const oldest = map.keys().next().value;
+        map.delete(oldest);
+        onEvict(oldest);
+      }
+    },
+    async delete(key) {
+      map.delete(key);
+    }
+  };
+}
 
-function getCached(key) {
-  const v = upstreamCache.get(key);
-  if (!v) return null;
-  if (Date.now() > v.expires) {
-    upstreamCache.delete(key);
-    return null;
+function createFileCache(dir, maxEntries) {
+  const fileFor = (key) => path.join(dir, `${crypto.createHash("sha1").update(key).digest("hex")}.json`);
+  const unlink = (file) => fs.promises.unlink(file).catch(() => {});
+  const memory = createMemoryCache(maxEntries, (key) => unlink(fileFor(key)));
+
+  // Drop files nobody could serve any more, then all but the newest
+  // maxEntries (files left from before a restart aren't in the LRU yet)
+  async function sweep() {
+    const cutoff = Date.now() - TTL_MS - CACHE_STALE_MS;
+    const files = [];
+    for (const name of await fs.promises.readdir(dir).catch(() => [])) {
+      const file = path.join(dir, name);
+      const st = await fs.promises.stat(file).catch(() => null);
+      if (st) files.push({ file, mtimeMs: st.mtimeMs });
+    }
+    files.sort((a, b) => b.mtimeMs - a.mtimeMs);
+    for (const [i, { file, mtimeMs }] of files.entries()) {
+      if (i >= maxEntries || mtimeMs < cutoff) await unlink(file);
+    }
   }
-  return v;
+  sweep();
+  setInterval(sweep, CACHE_SWEEP_MS).unref();
+
+  return {
+    name: "file",
+    async get(key) {
+      const hit = await memory.get(key);
+      if (hit) return hit;
+      try {
+        const { key: storedKey, ...entry } = JSON.parse(await fs.promises.readFile(fileFor(key), "utf8"));
+        if (storedKey !== key) return null;
+        await memory.set(key, entry);
+        return entry;
+      } catch {
+        return null;
+      }
+    },
+    // The memory copy still serves if the disk write fails
+    async set(key, entry) {
+      await memory.set(key, entry);
+      const file = fileFor(key);
+      const tmp = `${file}.${process.pid}.tmp`;
+      try {
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(tmp, JSON.stringify({ key, ...entry }));
+        await fs.promises.rename(tmp, file);
+      } catch (e) {
+        console.error(`Cache file write failed (${key}):`, e.message);
+        await unlink(tmp);
+      }
+    },
+    async delete(key) {
+      await memory.delete(key);
+      await unlink(fileFor(key));
+    }
+  };
+}
+
+async function createRedisCache(url) {
+  const { createClient } = await import("redis");
+  const client = createClient({ url });
+  client.on("error", (e) => console.error("Redis cache error:", e.message));
+  // connect() retries forever; give up after a while and fall back to memory
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No connection to ${url}`)), 5000);
+  });
+  try {
+    await Promise.race([client.connect(), timeout]);
+  } catch (e) {
+    client.destroy();
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const k = (key) => `flightweather:${key}`;
+  return {
+    name: "redis",
+    async get(key) {
+      const v = await client.get(k(key));
+      return v ? JSON.parse(v) : null;
+    },
+    async set(key, entry) {
+      const ttl = Math.max(entry.expires - Date.now(), 0) + CACHE_STALE_MS;
+      await client.set(k(key), JSON.stringify(entry), { PX: ttl });
+    },
+    async delete(key) {
+      await client.del(k(key));
+    }
+  };
 }
 
-function setCached(key, payload, ttlMs = TTL_MS) {
-  upstreamCache.set(key, { ...payload, expires: Date.now() + ttlMs });
+async function createCache() {
+  try {
+    if (CACHE_BACKEND === "redis") return await createRedisCache(REDIS_URL);
+    if (CACHE_BACKEND === "file") return createFileCache(path.join(DATA_DIR, "cache"), CACHE_MAX_ENTRIES);
+  } catch (e) {
+    console.error(`Cache backend "${CACHE_BACKEND}" unavailable, using memory:`, e.message);
+  }
+  return createMemoryCache(CACHE_MAX_ENTRIES);
 }
 
-function sendCachedOrSet(res, cacheKey, status, body, contentType = "application/json") {
-  // Cache only successful JSON responses by default
-  if (status === 200) {
-    setCached(cacheKey, { status, body, contentType });
-    res.set("Cache-Control", "public, max-age=600");
-  } else {
-    res.set("Cache-Control", "no-store");
+const upstreamCache = await createCache();
+
+/* ---------------------------------------------------------
+   Upstream status
+   Per upstream: calls, errors, last success / error, latency
+   and error rate over the last STATUS_SAMPLE_SIZE calls, and
+   how request-path station lookups were answered by the cache
+   (hit / stale / miss). Read by /api/status and /metrics.
+--------------------------------------------------------- */
+const UPSTREAMS = {
+  awc_metar: "AWC METAR",
+  awc_taf: "AWC TAF",
+  iem_asos: "IEM ASOS"
+};
+
+const upstreamStats = new Map(Object.keys(UPSTREAMS).map(name => [name, {
+  calls: 0,
+  errors: 0,
+  lastSuccessAt: null,
+  lastErrorAt: null,
+  lastError: null,
+  recent: [], // { ms, ok }, newest last
+  cache: { hit: 0, stale: 0, miss: 0 }
+}]));
+
+async function trackUpstream(name, fn) {
+  const stats = upstreamStats.get(name);
+  const started = Date.now();
+  const record = (ok) => {
+    stats.calls++;
+    stats.recent.push({ ms: Date.now() - started, ok });
+    if (stats.recent.length > STATUS_SAMPLE_SIZE) stats.recent.shift();
+  };
+  try {
+    const result = await fn();
+    record(true);
+    stats.lastSuccessAt = Date.now();
+    return result;
+  } catch (e) {
+    record(false);
+    stats.errors++;
+    stats.lastErrorAt = Date.now();
+    stats.lastError = e.message;
+    throw e;
+  }
+}
+
+function upstreamForPrefix(prefix) {
+  if (prefix === "awc:metar") return "awc_metar";
+  if (prefix === "awc:taf") return "awc_taf";
+  if (prefix.startsWith("iem:")) return "iem_asos";
+  return null;
+}
+
+function recordCacheLookups(prefix, counts) {
+  const stats = upstreamStats.get(upstreamForPrefix(prefix));
+  if (!stats) return;
+  for (const [state, n] of Object.entries(counts)) stats.cache[state] += n;
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+// "unknown" before the first call; "down" once failing for STATUS_DOWN_AFTER_MS
+function upstreamState(stats, now = Date.now()) {
+  if (!stats.calls) return "unknown";
+  const failing = stats.lastErrorAt && (!stats.lastSuccessAt || stats.lastErrorAt > stats.lastSuccessAt);
+  if (failing && now - (stats.lastSuccessAt || 0) > STATUS_DOWN_AFTER_MS) return "down";
+  const recentErrors = stats.recent.filter(r => !r.ok).length;
+  if (failing || recentErrors / stats.recent.length >= 0.2) return "degraded";
+  return "ok";
+}
+
+function upstreamSummary(name, now = Date.now()) {
+  const stats = upstreamStats.get(name);
+  const sorted = stats.recent.map(r => r.ms).sort((a, b) => a - b);
+  const lookups = stats.cache.hit + stats.cache.stale + stats.cache.miss;
+  const iso = (ms) => ms ? new Date(ms).toISOString() : null;
+  return {
+    name,
+    label: UPSTREAMS[name],
+    state: upstreamState(stats, now),
+    calls: stats.calls,
+    errors: stats.errors,
+    lastSuccessAt: iso(stats.lastSuccessAt),
+    lastErrorAt: iso(stats.lastErrorAt),
+    lastError: stats.lastError,
+    latencyMs: {
+      p50: percentile(sorted, 0.5),
+      p90: percentile(sorted, 0.9),
+      p99: percentile(sorted, 0.99)
+    },
+    // Over the last STATUS_SAMPLE_SIZE calls
+    errorRate: stats.recent.length ? stats.recent.filter(r => !r.ok).length / stats.recent.length : null,
+    cache: {
+      ...stats.cache,
+      // Stale answers still spared the upstream a call
+      hitRatio: lookups ? (stats.cache.hit + stats.cache.stale) / lookups : null
+    }
+  };
+}
+
+/* ---------------------------------------------------------
+   Per-station cache
+   Raw upstream reports are cached one station per key
+   (`${prefix}:${id}`), so any mix or order of airport lists
+   shares entries. Stations missing from the cache go out in
+   one batched upstream call; stations another request is
+   already fetching join that call instead of firing their own.
+--------------------------------------------------------- */
+// key -> Promise<entry> while a batch containing that station is in flight
+const stationInflight = new Map();
+
+// "update" { prefix, id, item, previous } whenever a cached station report changes
+const stationEvents = new EventEmitter();
+stationEvents.setMaxListeners(0);
+
+// prefix -> { fetchBatch, ids: Map(id -> last requested ms) }; read by the poller
+const watchRegistry = new Map();
+
+function watchStations(prefix, fetchBatch, ids, at = Date.now()) {
+  let w = watchRegistry.get(prefix);
+  if (!w) {
+    w = { fetchBatch, ids: new Map() };
+    watchRegistry.set(prefix, w);
+  }
+  w.fetchBatch = fetchBatch;
+  for (const id of ids) w.ids.set(id, Math.max(w.ids.get(id) || 0, at));
+}
+
+function normalizeIds(ids) {
+  const list = Array.isArray(ids) ? ids : ids.toString().split(",");
+  return [...new Set(list.map(s => s.trim().toUpperCase()).filter(Boolean))];
+}
+
+function startStationBatch(prefix, ids, fetchBatch, ttlMs) {
+  const batch = fetchBatch(ids).then(async (found) => {
+    const now = Date.now();
+    const entries = new Map();
+    for (const id of ids) {
+      const key = `${prefix}:${id}`;
+      const previous = await upstreamCache.get(key).catch(() => null);
+      // Stations the upstream left out are cached too ("no report")
+      const entry = {
+        status: 200,
+        body: JSON.stringify(found.get(id) ?? null),
+        contentType: "application/json",
+        storedAt: now,
+        expires: now + ttlMs
+      };
+      // A broken cache store must not fail the request
+      await upstreamCache.set(key, entry).catch(e => console.error("Cache write failed:", e.message));
+      entries.set(id, entry);
+      if (previous && previous.body !== entry.body) {
+        stationEvents.emit("update", { prefix, id, item: found.get(id) ?? null, previous: JSON.parse(previous.body) });
+      }
+    }
+    return entries;
+  });
+
+  for (const id of ids) {
+    const key = `${prefix}:${id}`;
+    const p = batch.then(entries => entries.get(id));
+    stationInflight.set(key, p);
+    p.catch(() => {}).finally(() => {
+      if (stationInflight.get(key) === p) stationInflight.delete(key);
+    });
+  }
+  return batch;
+}
+
+// fetchBatch(ids) -> Map(id -> item)
+// Resolves { items: Map(id -> item | null), state: "hit" | "stale" | "miss", storedAt }
+async function cachedStations(prefix, ids, fetchBatch, ttlMs = TTL_MS) {
+  const want = normalizeIds(ids);
+  const now = Date.now();
+  watchStations(prefix, fetchBatch, want, now);
+  const results = new Map(); // id -> { entry, state }
+  const expired = new Map(); // id -> entry past the stale window, last resort
+  const missing = [];
+  const stale = [];
+
+  await Promise.all(want.map(async (id) => {
+    const entry = await upstreamCache.get(`${prefix}:${id}`).catch(e => {
+      console.error("Cache read failed:", e.message);
+      return null;
+    });
+    if (entry && now <= entry.expires) {
+      results.set(id, { entry, state: "hit" });
+    } else if (entry && now <= entry.expires + CACHE_STALE_MS) {
+      results.set(id, { entry, state: "stale" });
+      stale.push(id);
+    } else {
+      if (entry) expired.set(id, entry);
+      missing.push(id);
+    }
+  }));
+  recordCacheLookups(prefix, {
+    hit: want.length - stale.length - missing.length,
+    stale: stale.length,
+    miss: missing.length
+  });
+
+  const notInflight = (id) => !stationInflight.has(`${prefix}:${id}`);
+
+  // Stale stations are answered now and refreshed in the background
+  const refresh = stale.filter(notInflight);
+  if (refresh.length) {
+    startStationBatch(prefix, refresh, fetchBatch, ttlMs)
+      .catch(e => console.warn(`Background refresh failed for ${prefix}:`, e.message));
+  }
+
+  const fetchNow = missing.filter(notInflight);
+  if (fetchNow.length) startStationBatch(prefix, fetchNow, fetchBatch, ttlMs).catch(() => {});
+  const pending = missing.map(id => [id, stationInflight.get(`${prefix}:${id}`)]);
+
+  let error = null;
+  await Promise.all(pending.map(async ([id, p]) => {
+    try {
+      results.set(id, { entry: await p, state: "miss" });
+    } catch (e) {
+      // Past the stale window, but still better than a blank board
+      if (expired.has(id)) {
+        console.warn(`Serving expired ${prefix}:${id} after upstream failure:`, e.message);
+        results.set(id, { entry: expired.get(id), state: "stale" });
+      } else {
+        error = e;
+      }
+    }
+  }));
+  if (error) throw error;
+
+  const states = [...results.values()];
+  return {
+    items: new Map(want.map(id => [id, JSON.parse(results.get(id).entry.body)])),
+    state: states.some(s => s.state === "stale") ? "stale"
+      : states.some(s => s.state === "miss") ? "miss" : "hit",
+    storedAt: states.length ? Math.min(...states.map(s => s.entry.storedAt)) : Date.now()
+  };
+}
+
+function setCacheHeaders(res, { state, storedAt, failed = [], unresolved = [] }) {
+  // Partial answers (some upstream failed) must not be cached downstream
+  res.set("Cache-Control", state === "stale" || failed.length ? "no-store" : "public, max-age=600");
+  res.set("X-Cache", state.toUpperCase());
+  res.set("X-Cache-Stored-At", new Date(storedAt).toISOString());
+  if (failed.length) res.set("X-Asos-Failed", failed.join(","));
+  if (unresolved.length) res.set("X-Asos-Unresolved", unresolved.join(","));
+}
+
+// Upstream failure; routes answer 502 with { error: message, ...details }
+class UpstreamError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "UpstreamError";
+    this.details = details;
   }
-  res.set("Content-Type", contentType);
-  return res.status(status).send(body);
 }
 
 /* ---------------------------------------------------------
    Helper: fetch text with headers
+   Network failures (DNS, refused, reset) surface as UpstreamError
+   so routes answer 502 rather than 500.
 --------------------------------------------------------- */
 async function fetchText(url, headers = {}) {
-  const r = await fetch(url, {
-    headers: {
-      "User-Agent": "RWJ-Weather/1.0 (contact: ops@example.com)",
-      ...headers
-    }
+  try {
+    const r = await fetch(url, {
+      headers: {
+        "User-Agent": "RWJ-Weather/1.0 (contact: ops@example.com)",
+        ...headers
+      }
+    });
+    const text = await r.text();
+    return { ok: r.ok, status: r.status, text };
+  } catch (e) {
+    const code = e?.code || e?.cause?.code;
+    const cause = code ? `${code}: ${e.message}` : String(e?.message || e);
+    throw new UpstreamError(`Upstream unreachable (${new URL(url).host})`, { upstreamUrl: url, cause });
+  }
+}
+
+// kind: "metar" | "taf"; AWC answers 204 (empty) when no station matched
+async function fetchAwcJson(kind, ids) {
+  const url =
+    `https://aviationweather.gov/api/data/${kind}?ids=${encodeURIComponent(ids.join(","))}&format=json`;
+  const label = kind.toUpperCase();
+
+  const { ok, status, text } = await fetchText(url, { Accept: "application/json" });
+  if (!ok) {
+    throw new UpstreamError(`${label} upstream failed`, { status, upstreamUrl: url, body: text.slice(0, 400) });
+  }
+  if (!text.trim()) return [];
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new UpstreamError(`${label} upstream returned non-JSON`, { upstreamUrl: url, body: text.slice(0, 400) });
+  }
+}
+
+// Raw AWC METAR JSON per station (newest report wins)
+async function fetchAwcMetarBatch(batch) {
+  const byId = new Map();
+  for (const m of [].concat(await trackUpstream("awc_metar", () => fetchAwcJson("metar", batch)))) {
+    const id = (m?.icaoId || "").toString().toUpperCase();
+    const prev = byId.get(id);
+    if (id && (!prev || (m.obsTime || 0) > (prev.obsTime || 0))) byId.set(id, m);
+  }
+  return byId;
+}
+
+function getAwcMetars(ids) {
+  return cachedStations("awc:metar", ids, fetchAwcMetarBatch);
+}
+
+// Raw AWC TAF JSON per station
+async function fetchAwcTafBatch(batch) {
+  const byId = new Map();
+  for (const t of normalizeTafArray(await trackUpstream("awc_taf", () => fetchAwcJson("taf", batch)))) {
+    const id = (t.icaoId || t.stationId || t.station || t.id || "").toString().toUpperCase().trim();
+    if (id && !byId.has(id)) byId.set(id, t);
+  }
+  return byId;
+}
+
+function getAwcTafs(ids) {
+  return cachedStations("awc:taf", ids, fetchAwcTafBatch);
+}
+
+/* ---------------------------------------------------------
+   Server-side storage
+   One JSON file per store in DATA_DIR (names may contain a
+   subdirectory, e.g. checks/<id>). Writes go through a
+   temp file + rename, and updateStore() serializes
+   read-modify-write cycles per store (and skips the write when
+   the cycle changed nothing).
+--------------------------------------------------------- */
+async function readStore(name, fallback) {
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(DATA_DIR, `${name}.json`), "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") console.error(`Failed to read store ${name}:`, e.message);
+    return fallback;
+  }
+}
+
+async function writeStore(name, data) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fs.promises.rename(tmp, file);
+}
+
+const storeLocks = new Map();
+
+// fn(data) mutates data in place and returns the result to hand back
+function updateStore(name, fallback, fn) {
+  const prev = storeLocks.get(name) || Promise.resolve();
+  const next = prev.then(async () => {
+    const data = await readStore(name, fallback);
+    const before = JSON.stringify(data);
+    const result = await fn(data);
+    if (JSON.stringify(data) !== before) await writeStore(name, data);
+    return result;
   });
-  const text = await r.text();
-  return { ok: r.ok, status: r.status, text };
+  storeLocks.set(name, next.catch(() => {}));
+  return next;
 }
 
 /* ---------------------------------------------------------
@@ -95,78 +620,485 @@ app.get("/api/test", (req, res) => {
   res.json({ ok: true, time: new Date().toISOString() });
 });
 
+/* ---------------------------------------------------------
+   Status + metrics
+   GET /api/status   upstream health (see Upstream status),
+                     poller and cache summary as JSON
+   GET /metrics      the same numbers in Prometheus text format
+   "ok" overall means every upstream that has been called is ok.
+--------------------------------------------------------- */
+const STARTED_AT = Date.now();
+
+app.get("/api/status", (req, res) => {
+  const now = Date.now();
+  const upstreams = Object.keys(UPSTREAMS).map(name => upstreamSummary(name, now));
+  const states = upstreams.map(u => u.state);
+  res.set("Cache-Control", "no-store");
+  res.json({
+    status: states.includes("down") ? "down" : states.includes("degraded") ? "degraded" : "ok",
+    time: new Date(now).toISOString(),
+    uptimeSec: Math.round((now - STARTED_AT) / 1000),
+    cacheBackend: upstreamCache.name,
+    upstreams,
+    poller: { enabled: POLL_ENABLED, ...pollState },
+    streamClients: streamClients.size
+  });
+});
+
+function promLabels(labels) {
+  const parts = Object.entries(labels)
+    .map(([k, v]) => `${k}="${String(v).replace(/[\\"]/g, "\\$&").replace(/\n/g, "\\n")}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+app.get("/metrics", (req, res) => {
+  const now = Date.now();
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of samples) {
+      if (value != null) lines.push(`${name}${promLabels(labels)} ${value}`);
+    }
+  };
+  const upstreams = Object.keys(UPSTREAMS).map(name => upstreamSummary(name, now));
+  const per = (fn) => upstreams.map(u => [{ upstream: u.name }, fn(u)]);
+  const seconds = (iso) => iso ? Date.parse(iso) / 1000 : null;
+
+  metric("flightwx_upstream_up", "gauge", "1 unless the upstream is degraded or down.",
+    per(u => u.state === "unknown" ? null : Number(u.state === "ok")));
+  metric("flightwx_upstream_requests_total", "counter", "Upstream calls.", per(u => u.calls));
+  metric("flightwx_upstream_errors_total", "counter", "Failed upstream calls.", per(u => u.errors));
+  metric("flightwx_upstream_last_success_timestamp_seconds", "gauge", "Last successful upstream call.",
+    per(u => seconds(u.lastSuccessAt)));
+  metric("flightwx_upstream_last_error_timestamp_seconds", "gauge", "Last failed upstream call.",
+    per(u => seconds(u.lastErrorAt)));
+  metric("flightwx_upstream_latency_seconds", "summary", "Upstream call latency over recent calls.",
+    upstreams.flatMap(u => Object.entries({ "0.5": u.latencyMs.p50, "0.9": u.latencyMs.p90, "0.99": u.latencyMs.p99 })
+      .map(([q, ms]) => [{ upstream: u.name, quantile: q }, ms == null ? null : ms / 1000])));
+  metric("flightwx_upstream_error_ratio", "gauge", "Share of recent upstream calls that failed.",
+    per(u => u.errorRate));
+  metric("flightwx_cache_lookups_total", "counter", "Station cache lookups by result.",
+    upstreams.flatMap(u => ["hit", "stale", "miss"].map(r => [{ upstream: u.name, result: r }, u.cache[r]])));
+  metric("flightwx_poller_runs_total", "counter", "Background poller runs.", [[{}, pollState.runs]]);
+  metric("flightwx_poller_last_run_timestamp_seconds", "gauge", "Last poller run.",
+    [[{}, seconds(pollState.lastRunAt)]]);
+  metric("flightwx_poller_last_errors", "gauge", "Failed batches in the last poller run.",
+    [[{}, pollState.lastErrors.length]]);
+  metric("flightwx_stream_clients", "gauge", "Connected live-update clients.", [[{}, streamClients.size]]);
+  metric("flightwx_uptime_seconds", "gauge", "Seconds since the server started.",
+    [[{}, Math.round((now - STARTED_AT) / 1000)]]);
+
+  res.set("Cache-Control", "no-store");
+  res.type("text/plain; version=0.0.4").send(lines.join("\n") + "\n");
+});
+
+/* ---------------------------------------------------------
+   Minimums profiles
+   Loaded once from data/minimums.json (or MINIMUMS_FILE).
+   Each profile has day/night { ceilFt, visSm } minimums and a
+   "marginal" buffer above them; optional maxWindKt / maxGustKt.
+--------------------------------------------------------- */
+function loadMinimumsProfiles() {
+  try {
+    const json = JSON.parse(fs.readFileSync(MINIMUMS_FILE, "utf8"));
+    const profiles = (Array.isArray(json.profiles) ? json.profiles : [])
+      .filter(p => p && p.id && p.day && p.night);
+    const defaultId = profiles.some(p => p.id === json.default) ? json.default : (profiles[0]?.id || null);
+    return { defaultId, profiles };
+  } catch (e) {
+    console.error("Failed to load minimums profiles:", e.message);
+    return { defaultId: null, profiles: [] };
+  }
+}
+
+const minimums = loadMinimumsProfiles();
+
+function getMinimumsProfile(id) {
+  if (!id) return null;
+  return minimums.profiles.find(p => p.id === id) || null;
+}
+
+// Seconds or ms since epoch, or an ISO string -> Date (or null)
+function toDate(v) {
+  if (v instanceof Date) return v;
+  if (typeof v === "number") return new Date(v < 1e12 ? v * 1000 : v);
+  if (typeof v === "string") {
+    const t = Date.parse(v);
+    return Number.isFinite(t) ? new Date(t) : null;
+  }
+  return null;
+}
+
+// Approximate solar elevation (degrees), good to a fraction of a degree
+function solarElevationDeg(date, lat, lon) {
+  const rad = Math.PI / 180;
+  const d = date.getTime() / 86400000 - 10957.5; // days since J2000
+  const g = (357.529 + 0.98560028 * d) * rad;
+  const q = 280.459 + 0.98564736 * d;
+  const L = (q + 1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g)) * rad;
+  const e = (23.439 - 0.00000036 * d) * rad;
+  const ra = Math.atan2(Math.cos(e) * Math.sin(L), Math.cos(L));
+  const dec = Math.asin(Math.sin(e) * Math.sin(L));
+  const gmstDeg = ((18.697374558 + 24.06570982441908 * d) % 24) * 15;
+  const ha = (gmstDeg + lon) * rad - ra;
+  const el = Math.asin(
+    Math.sin(lat * rad) * Math.sin(dec) + Math.cos(lat * rad) * Math.cos(dec) * Math.cos(ha)
+  );
+  return el / rad;
+}
+
+// Night = end of evening civil twilight to start of morning civil twilight
+function isNight(date, lat, lon) {
+  const la = Number.isFinite(lat) ? lat : BASE_LAT;
+  const lo = Number.isFinite(lon) ? lon : BASE_LON;
+  return solarElevationDeg(date || new Date(), la, lo) < -6;
+}
+
+/*
+  Evaluate conditions against a profile.
+  Returns { status: "go" | "marginal" | "nogo" | "unk", period, limit, reasons }
+  visState / ceilState follow Tri-state conditions; without them a
+  null ceiling means no BKN/OVC/VV layer (unlimited). With either
+  value missing only NO-GO from the other one stands; anything
+  better is "unk".
+*/
+function evaluateMinimums(profile, { vis, visState, ceil, ceilState, wind, gust, time, lat, lon } = {}) {
+  if (!profile) return null;
+
+  const period = isNight(toDate(time), lat, lon) ? "night" : "day";
+  const limit = profile[period];
+  const buffer = profile.marginal || { ceilFt: 0, visSm: 0 };
+
+  const hasVis = typeof vis === "number" && Number.isFinite(vis);
+  const hasCeil = typeof ceil === "number" && Number.isFinite(ceil);
+  if (!hasVis && !hasCeil && ceilState !== "unlimited") {
+    return { status: "unk", period, limit, reasons: ["no visibility or ceiling"] };
+  }
+  const missing = conditionReasons({
+    visState: visState || valueState(vis),
+    ceilState: ceilState || valueState(ceil, true)
+  });
+
+  const nogo = [];
+  const marginal = [];
+
+  if (hasCeil && ceil < limit.ceilFt) nogo.push(`ceiling ${ceil}ft below ${limit.ceilFt}ft`);
+  else if (hasCeil && ceil < limit.ceilFt + (buffer.ceilFt || 0)) marginal.push(`ceiling ${ceil}ft near ${limit.ceilFt}ft`);
+
+  if (hasVis && vis < limit.visSm) nogo.push(`visibility ${vis}sm below ${limit.visSm}sm`);
+  else if (hasVis && vis < limit.visSm + (buffer.visSm || 0)) marginal.push(`visibility ${vis}sm near ${limit.visSm}sm`);
+
+  if (typeof profile.maxWindKt === "number" && typeof wind === "number" && wind > profile.maxWindKt) {
+    nogo.push(`wind ${wind}kt above ${profile.maxWindKt}kt`);
+  }
+  if (typeof profile.maxGustKt === "number" && typeof gust === "number" && gust > profile.maxGustKt) {
+    nogo.push(`gust ${gust}kt above ${profile.maxGustKt}kt`);
+  }
+
+  if (nogo.length) return { status: "nogo", period, limit, reasons: nogo };
+  if (missing.length) return { status: "unk", period, limit, reasons: [...missing, ...marginal] };
+  if (marginal.length) return { status: "marginal", period, limit, reasons: marginal };
+  return { status: "go", period, limit, reasons: [] };
+}
+
+/* ---------------------------------------------------------
+   Minimums profiles list
+   /api/minimums
+--------------------------------------------------------- */
+app.get("/api/minimums", (req, res) => {
+  res.json({
+    default: minimums.defaultId,
+    // Whole profiles: the client shows the marginal band and wind limits too
+    profiles: minimums.profiles
+  });
+});
+
 /* ---------------------------------------------------------
    METAR proxy (AWC)
-   /api/metar?ids=KMJX,KWRI,KACY
+   /api/metar?ids=KMJX,KWRI,KACY[&profile=p135-local]
+
+   With profile=..., each METAR gets a "minimums" evaluation.
 --------------------------------------------------------- */
 app.get("/api/metar", async (req, res) => {
   try {
     const ids = (req.query.ids || "").toString().trim();
     if (!ids) return res.status(400).json({ error: "Missing ids=..." });
 
-    const cacheKey = `metar:${ids}`;
-    const cached = getCached(cacheKey);
-    if (cached) {
-      res.set("Cache-Control", "public, max-age=600");
-      res.set("Content-Type", cached.contentType || "application/json");
-      return res.status(cached.status).send(cached.body);
+    const profileId = (req.query.profile || "").toString().trim();
+    const profile = getMinimumsProfile(profileId);
+    if (profileId && !profile) return res.status(400).json({ error: `Unknown minimums profile: ${profileId}` });
+
+    const result = await getAwcMetars(ids);
+    let json = [...result.items.values()].filter(Boolean);
+
+    if (profile) {
+      // Same decode as /api/metarDecoded, so a missing sky group isn't read as unlimited
+      json = json.map(m => {
+        const obs = decodeMetar(m);
+        return {
+          ...m,
+          minimums: evaluateMinimums(profile, {
+            vis: obs.visibility?.sm ?? null,
+            visState: obs.visibilityState,
+            ceil: obs.ceilingFt,
+            ceilState: obs.ceilingState,
+            wind: m.wspd,
+            gust: m.wgst,
+            time: m.obsTime ?? m.reportTime,
+            lat: m.lat,
+            lon: m.lon
+          })
+        };
+      });
     }
 
-    const url =
-      `https://aviationweather.gov/api/data/metar?ids=${encodeURIComponent(ids)}&format=json`;
+    setCacheHeaders(res, result);
+    return res.json(json);
+  } catch (e) {
+    if (e instanceof UpstreamError) return res.status(502).json({ error: e.message, ...e.details });
+    console.error("METAR proxy failed:", e);
+    res.status(500).json({ error: "METAR proxy failed" });
+  }
+});
 
-    const r = await fetch(url, { headers: { "User-Agent": "RWJ-Weather/1.0" } });
-    const text = await r.text();
+/* ---------------------------------------------------------
+   Decoded METAR (AWC JSON + rawOb decoded with metar-taf-parser)
+   /api/metarDecoded?ids=KMJX,KWRI[&profile=p135-local]
+
+   One canonical observation per station:
+   {
+     icaoId, name, lat, lon, raw, type ("METAR" | "SPECI"), auto,
+     obsTime,                  // ISO
+     visibility,               // { sm, indicator ("P" | "M" | null) } | null
+     visibilityState,          // known | missing
+     ceilingFt,                // lowest BKN/OVC/VV base, null = see ceilingState
+     ceilingState,             // known | unlimited | missing (see Tri-state conditions)
+     clouds,                   // [{ cover, baseFt, type }]
+     verticalVisibilityFt,
+     wind,                     // { dirDeg, variable, speedKt, gustKt, varFromDeg, varToDeg } | null
+     weather,                  // [{ code, intensity, descriptive, phenomena }]
+     rvr,                      // [{ runway, minFt, maxFt, indicator, trend }]
+     temperatureC, dewpointC, altimeterInHg,
+     remarks,                  // [{ type, description, raw }]
+     flightCategory,           // vfr | mvfr | ifr | lifr | unk
+     categoryReasons,          // why the category is (partly) unknown, [] if not
+     discrepancies,            // [{ field, decoded, awc }] decoded text vs AWC JSON
+     minimums                  // only with profile=...
+   }
+   Fields the report doesn't contain are null (arrays are empty).
+--------------------------------------------------------- */
+const HPA_PER_INHG = 33.8639;
 
-    if (!r.ok) {
-      return res.status(502).json({
-        error: "METAR upstream failed",
-        status: r.status,
-        body: text.slice(0, 400)
-      });
-    }
+// The parser drops CLR and NCD, so the raw body (before RMK) is checked too
+const CLEAR_SKY_RE = /(?:^|\s)(?:CLR|SKC|NSC|NCD)(?=\s|$)/;
+
+function metarSkyReported(p, raw) {
+  if (p.cavok || (p.clouds || []).length || typeof p.verticalVisibility === "number") return true;
+  return CLEAR_SKY_RE.test(raw.split(" RMK")[0]);
+}
+
+function decodedVisibility(v) {
+  const sm = decodedVisibilitySm(v);
+  if (sm == null) return null;
+  return { sm, indicator: v.indicator || null };
+}
+
+function decodedWeatherCode(w) {
+  return `${w.intensity || ""}${w.descriptive || ""}${(w.phenomenons || []).join("")}`;
+}
+
+function decodeMetar(m) {
+  const raw = (m.rawOb || m.rawText || "").toString().trim();
+  let parsed = null;
+  let parseError = null;
 
-    // Ensure it's valid JSON
-    let json;
+  if (raw) {
     try {
-      json = JSON.parse(text);
-    } catch {
-      return res.status(502).json({
-        error: "METAR upstream returned non-JSON",
-        body: text.slice(0, 400)
+      parsed = parseMetar(raw);
+    } catch (e) {
+      parseError = e.message;
+    }
+  } else {
+    parseError = "No raw METAR";
+  }
+
+  const p = parsed || { clouds: [], weatherConditions: [], runwaysInfo: [], remarks: [] };
+  const k = SPEED_TO_KT[p.wind?.unit] || 1;
+  const altimeterInHg = !p.altimeter ? null
+    : p.altimeter.unit === "inHg" ? p.altimeter.value
+    : Math.round((p.altimeter.value / HPA_PER_INHG) * 100) / 100;
+
+  const visibility = p.cavok ? { sm: CAVOK_VIS_SM, indicator: "P" } : decodedVisibility(p.visibility);
+  const ceilingFt = decodedCeilingFt(p);
+  const conditions = {
+    vis: visibility?.sm ?? null,
+    visState: valueState(visibility?.sm),
+    ceil: ceilingFt,
+    ceilState: valueState(ceilingFt, metarSkyReported(p, raw))
+  };
+
+  const obs = {
+    icaoId: (m.icaoId || p.station || "").toString().toUpperCase(),
+    name: m.name || null,
+    lat: typeof m.lat === "number" ? m.lat : null,
+    lon: typeof m.lon === "number" ? m.lon : null,
+    raw: raw || null,
+    type: p.type || m.metarType || null,
+    auto: Boolean(p.auto),
+    obsTime: toDate(m.obsTime ?? m.reportTime)?.toISOString() || null,
+    visibility,
+    visibilityState: conditions.visState,
+    ceilingFt,
+    ceilingState: conditions.ceilState,
+    clouds: (p.clouds || []).map(c => ({
+      cover: c.quantity,
+      baseFt: typeof c.height === "number" ? c.height : null,
+      type: c.type || null
+    })),
+    verticalVisibilityFt: typeof p.verticalVisibility === "number" ? p.verticalVisibility : null,
+    wind: p.wind ? {
+      dirDeg: typeof p.wind.degrees === "number" ? p.wind.degrees : null,
+      variable: p.wind.direction === "VRB",
+      speedKt: Math.round(p.wind.speed * k),
+      gustKt: typeof p.wind.gust === "number" ? Math.round(p.wind.gust * k) : null,
+      varFromDeg: p.wind.minVariation ?? null,
+      varToDeg: p.wind.maxVariation ?? null
+    } : null,
+    weather: (p.weatherConditions || []).map(w => ({
+      code: decodedWeatherCode(w),
+      intensity: w.intensity || null,
+      descriptive: w.descriptive || null,
+      phenomena: w.phenomenons || []
+    })),
+    rvr: (p.runwaysInfo || [])
+      .filter(r => typeof r.minRange === "number")
+      .map(r => ({
+        runway: r.name,
+        minFt: r.unit === "FT" ? r.minRange : Math.round(r.minRange * 3.28084),
+        maxFt: typeof r.maxRange !== "number" ? null
+          : r.unit === "FT" ? r.maxRange : Math.round(r.maxRange * 3.28084),
+        indicator: r.indicator || null,
+        trend: r.trend || null
+      })),
+    temperatureC: typeof p.temperature === "number" ? p.temperature : null,
+    dewpointC: typeof p.dewPoint === "number" ? p.dewPoint : null,
+    altimeterInHg,
+    remarks: (p.remarks || []).map(r => ({ type: r.type, description: r.description || null, raw: r.raw })),
+    flightCategory: categoryFromConditions(conditions),
+    categoryReasons: parsed ? conditionReasons(conditions) : ["report could not be decoded"],
+    discrepancies: []
+  };
+
+  if (parsed) obs.discrepancies = metarDiscrepancies(m, obs);
+  if (parseError) obs.parseError = parseError;
+  return obs;
+}
+
+// Compare decoded values against AWC's JSON fields
+function metarDiscrepancies(m, obs) {
+  const out = [];
+  const check = (field, decoded, awc, tolerance = 0) => {
+    if (decoded === undefined || awc === undefined) return;
+    if (typeof decoded === "number" && typeof awc === "number") {
+      if (Math.abs(decoded - awc) > tolerance) out.push({ field, decoded, awc });
+    } else if (decoded !== awc) {
+      out.push({ field, decoded, awc });
+    }
+  };
+  const awcNum = (v) => (typeof v === "number" ? v : undefined);
+
+  check("visibility", obs.visibility?.sm ?? null, m.visib == null ? undefined : parseVisibToNumber(m.visib), 0.01);
+  check("ceiling", obs.ceilingFt, Array.isArray(m.clouds) ? ceilingFromClouds(m.clouds) : undefined);
+  check("windDir", obs.wind ? (obs.wind.variable ? "VRB" : obs.wind.dirDeg) : undefined, m.wdir ?? undefined);
+  check("windSpeed", obs.wind?.speedKt, awcNum(m.wspd));
+  check("windGust", obs.wind ? obs.wind.gustKt : undefined, m.wgst === undefined ? undefined : (awcNum(m.wgst) ?? null));
+  check("temperature", obs.temperatureC ?? undefined, awcNum(m.temp), 0.6);
+  check("dewpoint", obs.dewpointC ?? undefined, awcNum(m.dewp), 0.6);
+  if (obs.altimeterInHg != null && typeof m.altim === "number") {
+    // AWC reports altim in hPa
+    check("altimeter", Math.round(obs.altimeterInHg * HPA_PER_INHG), Math.round(m.altim), 1);
+  }
+  return out;
+}
+
+// Decoded METARs for a comma list of ids
+async function getDecodedMetars(ids, profile = null) {
+  const { items } = await getAwcMetars(ids);
+  return decodedMetarsFrom(items, profile);
+}
+
+// items: Map(id -> raw AWC METAR | null); stations without a report are skipped
+function decodedMetarsFrom(items, profile) {
+  return [...items.values()].filter(Boolean).map(m => {
+    const obs = decodeMetar(m);
+    if (profile) {
+      obs.minimums = evaluateMinimums(profile, {
+        vis: obs.visibility?.sm ?? null,
+        visState: obs.visibilityState,
+        ceil: obs.ceilingFt,
+        ceilState: obs.ceilingState,
+        wind: obs.wind?.speedKt ?? null,
+        gust: obs.wind?.gustKt ?? null,
+        time: obs.obsTime,
+        lat: obs.lat,
+        lon: obs.lon
       });
     }
+    return obs;
+  });
+}
 
-    return sendCachedOrSet(
-      res,
-      cacheKey,
-      200,
-      JSON.stringify(json),
-      "application/json"
-    );
+app.get("/api/metarDecoded", async (req, res) => {
+  try {
+    const ids = (req.query.ids || "").toString().trim();
+    if (!ids) return res.status(400).json({ error: "Missing ids=..." });
+
+    const profileId = (req.query.profile || "").toString().trim();
+    const profile = getMinimumsProfile(profileId);
+    if (profileId && !profile) return res.status(400).json({ error: `Unknown minimums profile: ${profileId}` });
+
+    const result = await getAwcMetars(ids);
+    setCacheHeaders(res, result);
+    return res.json(decodedMetarsFrom(result.items, profile));
   } catch (e) {
-    console.error("METAR proxy failed:", e);
-    res.status(500).json({ error: "METAR proxy failed" });
+    if (e instanceof UpstreamError) return res.status(502).json({ error: e.message, ...e.details });
+    console.error("Decoded METAR failed:", e);
+    res.status(500).json({ error: "Decoded METAR failed", detail: e?.message || String(e) });
   }
 });
 
 /* ---------------------------------------------------------
    TAF timeline (AWC)
-   /api/tafTimeline?ids=KMJX,KWRI,KACY&hours=24
+   /api/tafTimeline?ids=KMJX,KWRI,KACY&hours=24[&profile=p135-local]
 
    NOTE: timeline categories come from your server logic.
-   If ceiling/vis is missing for a period, we return "unk".
+   Each hour carries vis/ceil with visState/ceilState (see
+   Tri-state conditions); a missing one makes the hour "unk"
+   unless the other is already IFR or worse, and "reasons"
+   says why.
+   With profile=..., each hour also gets a "minimums" evaluation.
+
+   Hours are decoded from rawTAF (see "TAF decoding" below) and
+   carry a "worst" TEMPO/PROB condition when one applies; if the
+   raw text can't be parsed we fall back to AWC's fcsts windows.
+   "peak" ({ cat, qualifier }) is the worse of the two and is
+   what forecast alerts go by, here and on the board alike.
+   Each station also returns its rawTAF text and issueTime.
 --------------------------------------------------------- */
 function parseVisibToNumber(v) {
   if (typeof v === "number") return v;
   if (typeof v !== "string") return null;
+  // Fractions: "1/4", "1 1/2", "M1/4"
+  const frac = v.trim().match(/^[MP]?(?:(\d+)\s+)?(\d+)\/(\d+)/);
+  if (frac && Number(frac[3]) > 0) return Number(frac[1] || 0) + Number(frac[2]) / Number(frac[3]);
   const n = parseFloat(v.replace("+", ""));
   return Number.isFinite(n) ? n : null;
 }
 
+// AWC JSON reports an indefinite ceiling (VV) as cover "OVX"
 function ceilingFromClouds(clouds = []) {
   const ceilings = (clouds || [])
-    .filter(l => l && (l.cover === "BKN" || l.cover === "OVC" || l.cover === "VV"))
+    .filter(l => l && (l.cover === "BKN" || l.cover === "OVC" || l.cover === "VV" || l.cover === "OVX"))
     .map(l => l.base)
     .filter(v => typeof v === "number" && Number.isFinite(v));
   return ceilings.length ? Math.min(...ceilings) : null;
@@ -200,64 +1132,253 @@ function getFcsts(tafObj) {
   return [];
 }
 
-app.get("/api/tafTimeline", async (req, res) => {
-  try {
-    const ids = (req.query.ids || "").toString().trim();
-    const hours = Math.min(Math.max(parseInt(req.query.hours || "24", 10), 1), 48);
-    if (!ids) return res.status(400).json({ error: "Missing ids=..." });
+const CATEGORY_RANK = { unk: 0, vfr: 1, mvfr: 2, ifr: 3, lifr: 4 };
+
+/*
+  Tri-state conditions. Each of visibility and ceiling is
+    "known"      a number
+    "unlimited"  reported as none (ceiling only: no BKN/OVC/VV
+                 layer, CLR/SKC/NSC/NCD, CAVOK)
+    "missing"    not reported (sensor out, group omitted, no report)
+  A null number alone can't tell the last two apart, so reports
+  carry visState / ceilState next to vis / ceil.
+*/
+function valueState(value, reported = false) {
+  if (typeof value === "number" && Number.isFinite(value)) return "known";
+  return reported ? "unlimited" : "missing";
+}
 
-    const cacheKey = `tafTimeline:${ids}:${hours}`;
-    const cached = getCached(cacheKey);
-    if (cached) {
-      res.set("Cache-Control", "public, max-age=600");
-      res.set("Content-Type", cached.contentType || "application/json");
-      return res.status(cached.status).send(cached.body);
-    }
+// A missing half can only make things worse, so IFR/LIFR from the
+// known half stands; anything better is unknown
+function categoryFromConditions({ vis, visState, ceil, ceilState }) {
+  const v = visState === "known" ? vis : visState === "unlimited" ? Infinity : null;
+  const c = ceilState === "known" ? ceil : ceilState === "unlimited" ? Infinity : null;
+  if (v == null && c == null) return "unk";
+  const cat = flightCategory(v ?? Infinity, c ?? Infinity);
+  if ((v == null || c == null) && CATEGORY_RANK[cat] < CATEGORY_RANK.ifr) return "unk";
+  return cat;
+}
 
-    const tafUrl =
-      `https://aviationweather.gov/api/data/taf?ids=${encodeURIComponent(ids)}&format=json`;
+function conditionReasons({ visState, ceilState }) {
+  const out = [];
+  if (visState === "missing") out.push("visibility not reported");
+  if (ceilState === "missing") out.push("ceiling not reported");
+  return out;
+}
 
-    const { ok, status, text } = await fetchText(tafUrl, { Accept: "application/json" });
+// Reports without a usable time are not treated as stale
+function isStaleObs(iso, now = Date.now()) {
+  const t = Date.parse(iso || "");
+  return Number.isFinite(t) && now - t > OBS_STALE_MIN * 60 * 1000;
+}
 
-    if (!ok) {
-      return res.status(502).json({
-        error: "TAF upstream failed",
-        status,
-        upstreamUrl: tafUrl,
-        body: text.slice(0, 800)
-      });
+// Conditions from an AWC JSON fcsts entry (fallback when rawTAF can't be decoded)
+function conditionsFromFcst(active) {
+  // Extract visibility - try multiple possible field names
+  const vis = parseVisibToNumber(
+    active?.visib || 
+    active?.visibility || 
+    active?.vis || 
+    active?.vsby
+  );
+  
+  // Extract ceiling from clouds (SKC/NSC layers still count as reported)
+  const ceil = ceilingFromClouds(active?.clouds || []);
+  const conditions = {
+    vis,
+    visState: valueState(vis),
+    ceil,
+    ceilState: valueState(ceil, Array.isArray(active?.clouds) && active.clouds.length > 0)
+  };
+
+  // Extract wind data - try multiple possible field names
+  const windSpeed = typeof active?.wspd === "number" ? active.wspd : 
+                   typeof active?.wspdKt === "number" ? active.wspdKt :
+                   typeof active?.windSpeed === "number" ? active.windSpeed :
+                   typeof active?.windSpd === "number" ? active.windSpd :
+                   typeof active?.sped === "number" ? active.sped : null;
+                   
+  const windGust = typeof active?.wgst === "number" ? active.wgst : 
+                   typeof active?.wgstKt === "number" ? active.wgstKt :
+                   typeof active?.windGust === "number" ? active.windGust :
+                   typeof active?.gust === "number" ? active.gust : null;
+                   
+  const windDir = typeof active?.wdir === "number" ? active.wdir : 
+                  typeof active?.windDir === "number" ? active.windDir :
+                  typeof active?.wdirDeg === "number" ? active.wdirDeg : null;
+
+  // Determine flight category with fallbacks
+  let cat = "unk";
+  
+  // First, check if TAF provides a flightCat directly
+  if (active?.flightCat) {
+    const fc = String(active.flightCat).toLowerCase();
+    if (["vfr", "mvfr", "ifr", "lifr"].includes(fc)) {
+      cat = fc;
     }
+  }
+  
+  // If no direct flightCat, calculate from visibility and ceiling
+  if (cat === "unk") cat = categoryFromConditions(conditions);
 
-    let tafJson;
-    try {
-      tafJson = JSON.parse(text);
-    } catch {
-      return res.status(502).json({
-        error: "TAF upstream returned non-JSON",
-        upstreamUrl: tafUrl,
-        body: text.slice(0, 800)
-      });
-    }
+  return { cat, ...conditions, windSpeed, windGust, windDir };
+}
+
+/* ---------------------------------------------------------
+   TAF decoding (metar-taf-parser)
+   rawTAF -> Forecast report -> per-hour prevailing conditions
+   plus the worst supplemental (TEMPO / PROB / INTER) group.
+--------------------------------------------------------- */
+const SPEED_TO_KT = { KT: 1, MPS: 1.943844, "KM/H": 0.539957 };
+const CAVOK_VIS_SM = 6.2; // 10 km or more
+
+function decodedVisibilitySm(v) {
+  if (!v || typeof v.value !== "number") return null;
+  if (v.unit === "m") return Math.round((v.value / 1609.344) * 100) / 100;
+  return v.value;
+}
+
+function decodedCeilingFt(container) {
+  const bases = (container.clouds || [])
+    .filter(c => c && (c.quantity === "BKN" || c.quantity === "OVC") && typeof c.height === "number")
+    .map(c => c.height);
+  if (typeof container.verticalVisibility === "number") bases.push(container.verticalVisibility);
+  return bases.length ? Math.min(...bases) : null;
+}
+
+function decodedWind(w) {
+  if (!w) return { windSpeed: null, windGust: null, windDir: null };
+  const k = SPEED_TO_KT[w.unit] || 1;
+  return {
+    windSpeed: typeof w.speed === "number" ? Math.round(w.speed * k) : null,
+    windGust: typeof w.gust === "number" ? Math.round(w.gust * k) : null,
+    windDir: typeof w.degrees === "number" ? w.degrees : null
+  };
+}
+
+// Conditions stated by a single forecast group (null = not stated by the group)
+function conditionsFromGroup(g) {
+  const hasSky = g.cavok || (g.clouds || []).length > 0 || typeof g.verticalVisibility === "number";
+  return {
+    vis: g.cavok ? CAVOK_VIS_SM : decodedVisibilitySm(g.visibility),
+    ceil: hasSky ? decodedCeilingFt(g) : null,
+    hasSky,
+    wind: g.wind ? decodedWind(g.wind) : null
+  };
+}
+
+function groupLabel(g) {
+  if (typeof g.probability === "number") {
+    return g.type === "TEMPO" ? `PROB${g.probability} TEMPO` : `PROB${g.probability}`;
+  }
+  return g.type || "BASE";
+}
+
+function decodeRawTaf(tafObj) {
+  const raw = tafObj?.rawTAF || tafObj?.rawText || tafObj?.raw;
+  if (!raw) return null;
+  const issued = toDate(tafObj.issueTime || tafObj.bulletinTime) || new Date();
+  try {
+    return parseTAFAsForecast(raw.toString(), { issued });
+  } catch (e) {
+    console.warn(`TAF decode failed for ${tafObj.icaoId || "?"}:`, e.message);
+    return null;
+  }
+}
+
+/*
+  Prevailing + worst supplemental conditions for one hour.
+  Supplemental groups only restate what changes, so anything a
+  TEMPO/PROB group omits is inherited from the prevailing group.
+  Returns null when the hour is outside the TAF validity.
+*/
+function decodedTafHour(report, hour) {
+  let composite;
+  try {
+    composite = getCompositeForecastForDate(hour, report);
+  } catch {
+    return null;
+  }
 
-    const tafs = normalizeTafArray(tafJson);
-    const want = ids.split(",").map(s => s.trim().toUpperCase()).filter(Boolean);
+  const p = conditionsFromGroup(composite.prevailing);
+  const base = {
+    vis: p.vis,
+    visState: valueState(p.vis),
+    ceil: p.ceil,
+    ceilState: valueState(p.ceil, p.hasSky)
+  };
+  const prevailing = {
+    cat: categoryFromConditions(base),
+    ...base,
+    ...(p.wind || decodedWind(null)),
+    type: groupLabel(composite.prevailing)
+  };
+
+  let worst = null;
+  for (const g of composite.supplemental || []) {
+    const c = conditionsFromGroup(g);
+    const conditions = {
+      vis: c.vis ?? prevailing.vis,
+      visState: c.vis != null ? "known" : prevailing.visState,
+      ceil: c.hasSky ? c.ceil : prevailing.ceil,
+      ceilState: c.hasSky ? valueState(c.ceil, true) : prevailing.ceilState
+    };
+    const cat = categoryFromConditions(conditions);
+    if (worst && CATEGORY_RANK[cat] <= CATEGORY_RANK[worst.cat]) continue;
+
+    const wind = c.wind || {
+      windSpeed: prevailing.windSpeed, windGust: prevailing.windGust, windDir: prevailing.windDir
+    };
+    worst = { type: groupLabel(g), cat, ...conditions, ...wind, raw: g.raw || null };
+  }
+
+  return { prevailing, worst };
+}
+
+// Hourly TAF timelines for a comma list of ids
+async function getTafTimelines(ids, hours, profile = null) {
+  const { items } = await getAwcTafs(ids);
+  return tafTimelinesFrom(items, hours, profile);
+}
+
+// Worse of prevailing and TEMPO/PROB for one timeline hour
+function hourCategory(h) {
+  const prevailing = (h.cat || "unk").toLowerCase();
+  const worst = (h.worst?.cat || "unk").toLowerCase();
+  return (CATEGORY_RANK[worst] ?? 0) > (CATEGORY_RANK[prevailing] ?? 0)
+    ? { cat: worst, qualifier: h.worst.type || null }
+    : { cat: prevailing, qualifier: null };
+}
+
+// items: Map(id -> raw AWC TAF | null), in request order
+function tafTimelinesFrom(items, hours, profile) {
+  const start = topOfHour(new Date());
+  const out = [];
 
-    const start = topOfHour(new Date());
-    const out = [];
+  for (const [icaoId, t] of items) {
+    if (!t) {
+      out.push({ icaoId, rawTAF: null, timeline: [], parseError: "No TAF returned" });
+      continue;
+    }
 
-    for (const t of tafs) {
-      const icaoId = (t.icaoId || t.stationId || t.station || t.id || "")
-        .toString()
-        .toUpperCase()
-        .trim();
+    const fcsts = getFcsts(t);
+    const decoded = decodeRawTaf(t);
+    const timeline = [];
 
-      const fcsts = getFcsts(t);
-      const timeline = [];
+    for (let i = 0; i < hours; i++) {
+      const hour = new Date(start.getTime() + i * 60 * 60 * 1000);
+      const hourUnix = Math.floor(hour.getTime() / 1000);
 
-      for (let i = 0; i < hours; i++) {
-        const hour = new Date(start.getTime() + i * 60 * 60 * 1000);
-        const hourUnix = Math.floor(hour.getTime() / 1000);
+      let cond = null;
+      let worst = null;
 
+      if (decoded) {
+        const h = decodedTafHour(decoded, hour);
+        if (h) {
+          cond = h.prevailing;
+          worst = h.worst;
+        }
+      } else {
         let active = null;
         for (const f of fcsts) {
           if (typeof f?.timeFrom === "number" && typeof f?.timeTo === "number") {
@@ -267,87 +1388,64 @@ app.get("/api/tafTimeline", async (req, res) => {
             }
           }
         }
+        cond = conditionsFromFcst(active);
+      }
 
-        // Extract visibility - try multiple possible field names
-        const vis = parseVisibToNumber(
-          active?.visib || 
-          active?.visibility || 
-          active?.vis || 
-          active?.vsby
-        );
-        
-        // Extract ceiling from clouds
-        const ceil = ceilingFromClouds(active?.clouds || []);
-
-        // Extract wind data - try multiple possible field names
-        const windSpeed = typeof active?.wspd === "number" ? active.wspd : 
-                         typeof active?.wspdKt === "number" ? active.wspdKt :
-                         typeof active?.windSpeed === "number" ? active.windSpeed :
-                         typeof active?.windSpd === "number" ? active.windSpd :
-                         typeof active?.sped === "number" ? active.sped : null;
-                         
-        const windGust = typeof active?.wgst === "number" ? active.wgst : 
-                         typeof active?.wgstKt === "number" ? active.wgstKt :
-                         typeof active?.windGust === "number" ? active.windGust :
-                         typeof active?.gust === "number" ? active.gust : null;
-                         
-        const windDir = typeof active?.wdir === "number" ? active.wdir : 
-                        typeof active?.windDir === "number" ? active.windDir :
-                        typeof active?.wdirDeg === "number" ? active.wdirDeg : null;
-
-        // Determine flight category with fallbacks
-        let cat = "unk";
-        
-        // First, check if TAF provides a flightCat directly
-        if (active?.flightCat) {
-          const fc = String(active.flightCat).toLowerCase();
-          if (["vfr", "mvfr", "ifr", "lifr"].includes(fc)) {
-            cat = fc;
-          }
-        }
-        
-        // If no direct flightCat, calculate from visibility and ceiling
-        if (cat === "unk") {
-          if (typeof vis === "number" && typeof ceil === "number") {
-            // Both available - use both
-            cat = flightCategory(vis, ceil);
-          } else if (typeof vis === "number") {
-            // Only visibility available - assume unlimited ceiling (10000ft) for calculation
-            cat = flightCategory(vis, 10000);
-          } else if (typeof ceil === "number") {
-            // Only ceiling available - assume unlimited visibility (10sm) for calculation
-            cat = flightCategory(10, ceil);
-          }
-        }
+      // Hour outside the TAF's validity
+      const outside = !cond;
+      if (outside) cond = conditionsFromFcst(null);
 
-        // Include detailed data for tooltips
-        timeline.push({ 
-          hourIso: hour.toISOString(), 
-          cat,
-          vis: vis,
-          ceil: ceil,
-          windSpeed: windSpeed,
-          windGust: windGust,
-          windDir: windDir
-        });
-      }
+      const evaluate = (c) => evaluateMinimums(profile, {
+        vis: c.vis, visState: c.visState, ceil: c.ceil, ceilState: c.ceilState,
+        wind: c.windSpeed, gust: c.windGust, time: hour, lat: t.lat, lon: t.lon
+      });
 
-      out.push({ icaoId, timeline });
+      // Include detailed data for tooltips
+      const entry = {
+        hourIso: hour.toISOString(),
+        cat: cond.cat,
+        vis: cond.vis,
+        visState: cond.visState,
+        ceil: cond.ceil,
+        ceilState: cond.ceilState,
+        reasons: outside ? ["outside TAF validity"] : conditionReasons(cond),
+        windSpeed: cond.windSpeed,
+        windGust: cond.windGust,
+        windDir: cond.windDir,
+        group: cond.type || null,
+        minimums: evaluate(cond),
+        worst: worst ? { ...worst, minimums: evaluate(worst) } : null
+      };
+      timeline.push({ ...entry, peak: hourCategory(entry) });
     }
 
-    const got = new Set(out.map(x => x.icaoId));
-    for (const id of want) {
-      if (!got.has(id)) out.push({ icaoId: id, timeline: [], parseError: "No TAF returned" });
-    }
+    out.push({
+      icaoId,
+      source: decoded ? "rawTAF" : "fcsts",
+      rawTAF: (t.rawTAF || t.rawText || "").toString().trim() || null,
+      issueTime: toDate(t.issueTime || t.bulletinTime)?.toISOString() || null,
+      timeline
+    });
+  }
 
-    return sendCachedOrSet(
-      res,
-      cacheKey,
-      200,
-      JSON.stringify(out),
-      "application/json"
-    );
+  return out;
+}
+
+app.get("/api/tafTimeline", async (req, res) => {
+  try {
+    const ids = (req.query.ids || "").toString().trim();
+    const hours = Math.min(Math.max(parseInt(req.query.hours || "24", 10), 1), 48);
+    if (!ids) return res.status(400).json({ error: "Missing ids=..." });
+
+    const profileId = (req.query.profile || "").toString().trim();
+    const profile = getMinimumsProfile(profileId);
+    if (profileId && !profile) return res.status(400).json({ error: `Unknown minimums profile: ${profileId}` });
+
+    const result = await getAwcTafs(ids);
+    setCacheHeaders(res, result);
+    return res.json(tafTimelinesFrom(result.items, hours, profile));
   } catch (e) {
+    if (e instanceof UpstreamError) return res.status(502).json({ error: e.message, ...e.details });
     console.error("TAF timeline failed:", e);
     res.status(500).json({ error: "TAF timeline failed", detail: e?.message || String(e) });
   }
@@ -355,92 +1453,174 @@ app.get("/api/tafTimeline", async (req, res) => {
 
 /* ---------------------------------------------------------
    IEM ASOS/AWOS latest fallback
-   /api/asosLatest?network=NJ_ASOS&stations=BLM,NEL,MJX
+   /api/asosLatest?stations=KBLM,KABE,KILG[&profile=p135-local]
+
+   IEM ASOS/AWOS history + trend
+   /api/asosHistory?stations=KBLM,KABE&hours=6
+
+   Stations are ICAO ids; each is resolved to its IEM network
+   and identifier (resolveIemStation) and the networks are
+   queried side by side. Rows carry icaoId + network besides
+   IEM's own station id. Passing network=XX_ASOS keeps the
+   old behaviour: stations are IEM ids in that one network.
+   Stations with no known network are never requested; they are
+   listed in X-Asos-Unresolved (asosHistory also marks them
+   unresolved: true), networks that failed in X-Asos-Failed.
 --------------------------------------------------------- */
-app.get("/api/asosLatest", async (req, res) => {
-  try {
-    const network = (req.query.network || "NJ_ASOS").toString().trim();
-    const stationsParam = (req.query.stations || "").toString().trim();
-    if (!stationsParam) return res.status(400).json({ error: "Missing stations=..." });
-
-    const stations = stationsParam
-      .split(",")
-      .map(s => s.trim().toUpperCase())
-      .filter(Boolean);
-
-    const cacheKey = `asosLatest:${network}:${stations.join(",")}`;
-    const cached = getCached(cacheKey);
-    if (cached) {
-      res.set("Cache-Control", "public, max-age=600");
-      res.set("Content-Type", cached.contentType || "application/json");
-      return res.status(cached.status).send(cached.body);
-    }
-
-    // pull last 24h (covers low-update AWOS)
-    const now = new Date();
-    const start = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-
-    const y1 = start.getUTCFullYear();
-    const m1 = start.getUTCMonth() + 1;
-    const d1 = start.getUTCDate();
-    const y2 = now.getUTCFullYear();
-    const m2 = now.getUTCMonth() + 1;
-    const d2 = now.getUTCDate();
-
-    const params = new URLSearchParams();
-    params.set("network", network);
-    stations.forEach(st => params.append("station", st));
-
-    // fields
-    params.append("data", "vsby");
-    params.append("data", "wdir");
-    params.append("data", "sped");
-    params.append("data", "gust");
-    params.append("data", "tmpf");
-
-    params.append("data", "skyc1");
-    params.append("data", "skyc2");
-    params.append("data", "skyc3");
-    params.append("data", "skyc4");
-
-    params.append("data", "skyl1");
-    params.append("data", "skyl2");
-    params.append("data", "skyl3");
-    params.append("data", "skyl4");
-
-    params.set("year1", String(y1));
-    params.set("month1", String(m1));
-    params.set("day1", String(d1));
-    params.set("year2", String(y2));
-    params.set("month2", String(m2));
-    params.set("day2", String(d2));
-
-    params.set("tz", "Etc/UTC");
-    params.set("format", "onlycomma");
-    params.set("latlon", "no");
-    params.set("elev", "no");
-    params.set("missing", "M");
-    params.set("trace", "T");
-    params.set("direct", "no");
-    params.append("report_type", "3");
-    params.append("report_type", "4");
-
-    const url = `https://mesonet.agron.iastate.edu/cgi-bin/request/asos.py?${params.toString()}`;
-
-    const { ok, status, text } = await fetchText(url);
-    if (!ok) {
-      return res.status(502).json({
-        error: "ASOS upstream failed",
-        status,
-        body: text.slice(0, 400)
-      });
+const TREND_WINDOW_HOURS = 3;
+
+// Identifier prefixes outside the contiguous US (ICAO region -> IEM network)
+const IEM_PREFIX_NETWORKS = [
+  ["PA", "AK_ASOS"], ["PF", "AK_ASOS"], ["PO", "AK_ASOS"], ["PP", "AK_ASOS"],
+  ["PH", "HI_ASOS"],
+  ["PG", "GU_ASOS"],
+  ["TJ", "PR_ASOS"],
+  ["TI", "VI_ASOS"]
+];
+
+// ICAO -> { icaoId, network, station }; network is null when unresolved.
+// A directory entry decides (iemNetwork, null for fields without automated
+// weather; entries without the field use <state>_ASOS). Ids outside the
+// directory resolve by regional prefix only (IEM uses the last three
+// letters there); a K id we know nothing about is not guessed.
+function resolveIemStation(id) {
+  const meta = findStation(id);
+  const icaoId = meta?.icao || id;
+  const prefixed = IEM_PREFIX_NETWORKS.find(([prefix]) => icaoId.length === 4 && icaoId.startsWith(prefix));
+
+  const network = meta
+    ? (meta.iemNetwork !== undefined ? meta.iemNetwork : meta.state ? `${meta.state}_ASOS` : null)
+    : prefixed?.[1] || null;
+  const station = meta?.faa
+    || (/^K[A-Z0-9]{3}$/.test(icaoId) || prefixed ? icaoId.slice(1) : icaoId);
+
+  return { icaoId, network, station };
+}
+
+function resolveAsosStations(ids, network = null) {
+  return network
+    ? ids.map(id => ({ icaoId: id, network, station: id }))
+    : ids.map(resolveIemStation);
+}
+
+const CACHE_STATE_RANK = { hit: 0, stale: 1, miss: 2 };
+
+// Rows for resolved stations across networks, one IEM request per network
+// -> { items: Map(icaoId -> rows | null), state, storedAt, failed: [network],
+//      unresolved: [icaoId] }
+async function getAsosRowsFor(resolved) {
+  const byNetwork = new Map();
+  const unresolved = [];
+  for (const r of resolved) {
+    if (!r.network) {
+      unresolved.push(r.icaoId);
+      continue;
     }
+    if (!byNetwork.has(r.network)) byNetwork.set(r.network, []);
+    byNetwork.get(r.network).push(r);
+  }
+
+  const networks = [...byNetwork.keys()];
+  const results = await Promise.allSettled(networks.map(n => getAsosRows(n, byNetwork.get(n).map(r => r.station))));
+  // One unreachable network shouldn't hide the others
+  if (results.length && results.every(r => r.status === "rejected")) throw results[0].reason;
+
+  const items = new Map(unresolved.map(id => [id, null]));
+  const failed = [];
+  let state = "hit";
+  let storedAt = Date.now();
+  results.forEach((r, i) => {
+    const group = byNetwork.get(networks[i]);
+    if (r.status === "rejected") {
+      console.error(`IEM ${networks[i]} failed:`, r.reason?.message || r.reason);
+      failed.push(networks[i]);
+      group.forEach(g => items.set(g.icaoId, null));
+      return;
+    }
+    if (CACHE_STATE_RANK[r.value.state] > CACHE_STATE_RANK[state]) state = r.value.state;
+    storedAt = Math.min(storedAt, r.value.storedAt);
+    group.forEach(g => items.set(g.icaoId, r.value.items.get(g.station) || null));
+  });
+  return { items, state, storedAt, failed, unresolved };
+}
+
+// Rows from the last 24h (covers low-update AWOS) per station, oldest first
+// -> cachedStations result, items: Map(station -> rows)
+function getAsosRows(network, stations) {
+  return cachedStations(`iem:${network}`, stations, asosBatchFetcher(network));
+}
 
-    const lines = text.trim().split("\n");
-    if (lines.length < 2) {
-      return sendCachedOrSet(res, cacheKey, 200, JSON.stringify([]), "application/json");
+function asosBatchFetcher(network) {
+  return async (batch) => {
+    const byStation = new Map();
+    for (const row of await trackUpstream("iem_asos", () => loadAsosRows(network, batch))) {
+      if (!byStation.has(row.station)) byStation.set(row.station, []);
+      byStation.get(row.station).push(row);
     }
+    return byStation;
+  };
+}
+
+async function loadAsosRows(network, stations) {
+  const now = new Date();
+  const start = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+
+  const y1 = start.getUTCFullYear();
+  const m1 = start.getUTCMonth() + 1;
+  const d1 = start.getUTCDate();
+  const y2 = now.getUTCFullYear();
+  const m2 = now.getUTCMonth() + 1;
+  const d2 = now.getUTCDate();
+
+  const params = new URLSearchParams();
+  params.set("network", network);
+  stations.forEach(st => params.append("station", st));
+
+  // fields
+  params.append("data", "vsby");
+  params.append("data", "wdir");
+  params.append("data", "sped");
+  params.append("data", "gust");
+  params.append("data", "tmpf");
+
+  params.append("data", "skyc1");
+  params.append("data", "skyc2");
+  params.append("data", "skyc3");
+  params.append("data", "skyc4");
+
+  params.append("data", "skyl1");
+  params.append("data", "skyl2");
+  params.append("data", "skyl3");
+  params.append("data", "skyl4");
+
+  params.set("year1", String(y1));
+  params.set("month1", String(m1));
+  params.set("day1", String(d1));
+  params.set("year2", String(y2));
+  params.set("month2", String(m2));
+  params.set("day2", String(d2));
+
+  params.set("tz", "Etc/UTC");
+  params.set("format", "onlycomma");
+  params.set("latlon", "yes");
+  params.set("elev", "no");
+  params.set("missing", "M");
+  params.set("trace", "T");
+  params.set("direct", "no");
+  params.append("report_type", "3");
+  params.append("report_type", "4");
+
+  const url = `https://mesonet.agron.iastate.edu/cgi-bin/request/asos.py?${params.toString()}`;
+
+  const { ok, status, text } = await fetchText(url);
+  if (!ok) {
+    throw new UpstreamError("ASOS upstream failed", { status, upstreamUrl: url, body: text.slice(0, 400) });
+  }
 
+  const lines = text.trim().split("\n");
+  const rows = [];
+
+  if (lines.length >= 2) {
     const header = lines[0].split(",").map(h => h.trim());
     const idx = (name) => header.indexOf(name);
 
@@ -451,6 +1631,8 @@ app.get("/api/asosLatest", async (req, res) => {
     const iSped = idx("sped");
     const iGust = idx("gust");
     const iTmpf = idx("tmpf");
+    const iLat = idx("lat");
+    const iLon = idx("lon");
 
     const iSkyc1 = idx("skyc1"), iSkyc2 = idx("skyc2"), iSkyc3 = idx("skyc3"), iSkyc4 = idx("skyc4");
     const iSkyl1 = idx("skyl1"), iSkyl2 = idx("skyl2"), iSkyl3 = idx("skyl3"), iSkyl4 = idx("skyl4");
@@ -458,8 +1640,6 @@ app.get("/api/asosLatest", async (req, res) => {
     const toNum = (v) => (v == null || v === "" || v === "M" ? null : Number(v));
     const toStr = (v) => (v == null || v === "" || v === "M" ? null : String(v).trim());
 
-    const latest = new Map();
-
     for (let li = 1; li < lines.length; li++) {
       const row = lines[li].split(",");
       const st = (row[iStation] || "").trim().toUpperCase();
@@ -470,37 +1650,1934 @@ app.get("/api/asosLatest", async (req, res) => {
       const t = Date.parse(valid.replace(" ", "T") + "Z");
       if (!Number.isFinite(t)) continue;
 
-      const prev = latest.get(st);
-      if (!prev || t > prev._t) {
-        latest.set(st, {
-          station: st,
-          validUtc: new Date(t).toISOString(),
-          vsby: toNum(row[iVsby]),
-          wdir: toNum(row[iWdir]),
-          sped: toNum(row[iSped]),  // knots
-          gust: toNum(row[iGust]),  // knots
-          tmpf: toNum(row[iTmpf]),
-
-          skyc1: toStr(row[iSkyc1]), skyc2: toStr(row[iSkyc2]), skyc3: toStr(row[iSkyc3]), skyc4: toStr(row[iSkyc4]),
-          skyl1: toNum(row[iSkyl1]), skyl2: toNum(row[iSkyl2]), skyl3: toNum(row[iSkyl3]), skyl4: toNum(row[iSkyl4]),
-
-          _t: t
+      rows.push({
+        station: st,
+        validUtc: new Date(t).toISOString(),
+        vsby: toNum(row[iVsby]),
+        wdir: toNum(row[iWdir]),
+        sped: toNum(row[iSped]),  // knots
+        gust: toNum(row[iGust]),  // knots
+        tmpf: toNum(row[iTmpf]),
+        lat: toNum(row[iLat]),
+        lon: toNum(row[iLon]),
+
+        skyc1: toStr(row[iSkyc1]), skyc2: toStr(row[iSkyc2]), skyc3: toStr(row[iSkyc3]), skyc4: toStr(row[iSkyc4]),
+        skyl1: toNum(row[iSkyl1]), skyl2: toNum(row[iSkyl2]), skyl3: toNum(row[iSkyl3]), skyl4: toNum(row[iSkyl4])
+      });
+    }
+  }
+
+  rows.sort((a, b) => a.validUtc.localeCompare(b.validUtc));
+  return rows;
+}
+
+function asosCeiling(row) {
+  return ceilingFromClouds([1, 2, 3, 4].map(n => ({
+    cover: row[`skyc${n}`],
+    base: row[`skyl${n}`] > 0 ? row[`skyl${n}`] : null
+  })));
+}
+
+// IEM writes "M" for anything not reported
+function asosConditions(row) {
+  const reported = (v) => v != null && v !== "" && v !== "M";
+  const vis = typeof row.vsby === "number" ? row.vsby : null;
+  const ceil = asosCeiling(row);
+  return {
+    vis,
+    visState: valueState(vis),
+    ceil,
+    ceilState: valueState(ceil, [1, 2, 3, 4].some(n => reported(row[`skyc${n}`])))
+  };
+}
+
+function parseAsosQuery(req) {
+  const network = (req.query.network || "").toString().trim() || null;
+  return resolveAsosStations(normalizeIds(req.query.stations || ""), network);
+}
+
+const asosRowFor = (resolved, row) => ({ ...row, icaoId: resolved.icaoId, network: resolved.network });
+
+// Rows are oldest first, so the last one wins; adds the tri-state
+// ceiling/visibility, flightCategory and categoryReasons
+function latestAsosRow(rows, profile) {
+  const row = rows[rows.length - 1];
+  const c = asosConditions(row);
+  const out = {
+    ...row,
+    visibilityState: c.visState,
+    ceilingFt: c.ceil,
+    ceilingState: c.ceilState,
+    flightCategory: categoryFromConditions(c),
+    categoryReasons: conditionReasons(c)
+  };
+  if (!profile) return out;
+  return {
+    ...out,
+    minimums: evaluateMinimums(profile, {
+      ...c, wind: row.sped, gust: row.gust,
+      time: row.validUtc, lat: row.lat, lon: row.lon
+    })
+  };
+}
+
+app.get("/api/asosLatest", async (req, res) => {
+  try {
+    const stations = parseAsosQuery(req);
+    if (!stations.length) return res.status(400).json({ error: "Missing stations=..." });
+
+    const profileId = (req.query.profile || "").toString().trim();
+    const profile = getMinimumsProfile(profileId);
+    if (profileId && !profile) return res.status(400).json({ error: `Unknown minimums profile: ${profileId}` });
+
+    const result = await getAsosRowsFor(stations);
+
+    const out = stations
+      .filter(r => result.items.get(r.icaoId)?.length)
+      .map(r => asosRowFor(r, latestAsosRow(result.items.get(r.icaoId), profile)));
+
+    setCacheHeaders(res, result);
+    return res.json(out);
+  } catch (e) {
+    if (e instanceof UpstreamError) return res.status(502).json({ error: e.message, ...e.details });
+    console.error("ASOS proxy failed:", e);
+    res.status(500).json({ error: "ASOS proxy failed" });
+  }
+});
+
+// "improving" | "deteriorating" | "steady" | null, newest point vs TREND_WINDOW_HOURS ago
+function asosTrend(series) {
+  const last = series[series.length - 1];
+  if (!last) return null;
+  const since = Date.parse(last.validUtc) - TREND_WINDOW_HOURS * 60 * 60 * 1000;
+  const ref = series.find(p => Date.parse(p.validUtc) >= since);
+  if (!ref || ref === last) return null;
+
+  const rankDelta = (CATEGORY_RANK[ref.cat] ?? 0) - (CATEGORY_RANK[last.cat] ?? 0);
+  let score = Math.sign(rankDelta) * 2;
+  if (!score) {
+    const vis = (p) => Math.min(p.vis ?? 10, 10);
+    const ceil = (p) => Math.min(p.ceil ?? CEIL_UNLIMITED_FT, CEIL_UNLIMITED_FT);
+    const visDelta = vis(last) - vis(ref);
+    const ceilRatio = (ceil(last) - ceil(ref)) / ceil(ref);
+    if (Math.abs(visDelta) >= 1) score += Math.sign(visDelta);
+    if (Math.abs(ceilRatio) >= 0.2) score += Math.sign(ceilRatio);
+  }
+
+  return {
+    direction: score > 0 ? "improving" : score < 0 ? "deteriorating" : "steady",
+    fromIso: ref.validUtc,
+    from: { cat: ref.cat, vis: ref.vis, ceil: ref.ceil },
+    to: { cat: last.cat, vis: last.vis, ceil: last.ceil }
+  };
+}
+
+app.get("/api/asosHistory", async (req, res) => {
+  try {
+    const stations = parseAsosQuery(req);
+    if (!stations.length) return res.status(400).json({ error: "Missing stations=..." });
+    const hours = Math.min(Math.max(parseInt(req.query.hours || "6", 10), 1), 24);
+
+    const since = Date.now() - hours * 60 * 60 * 1000;
+    const result = await getAsosRowsFor(stations);
+
+    const out = stations.map(({ icaoId, network, station }) => {
+      const series = (result.items.get(icaoId) || [])
+        .filter(row => Date.parse(row.validUtc) >= since)
+        .map(row => {
+          const c = asosConditions(row);
+          return {
+            validUtc: row.validUtc,
+            vis: c.vis,
+            ceil: c.ceil,
+            ceilState: c.ceilState,
+            cat: categoryFromConditions(c),
+            wind: row.sped,
+            gust: row.gust,
+            wdir: row.wdir
+          };
         });
+      const entry = { station, icaoId, network, hours, trend: asosTrend(series), series };
+      return network ? entry : { ...entry, unresolved: true };
+    });
+
+    setCacheHeaders(res, result);
+    res.json(out);
+  } catch (e) {
+    if (e instanceof UpstreamError) return res.status(502).json({ error: e.message, ...e.details });
+    console.error("ASOS history failed:", e);
+    res.status(500).json({ error: "ASOS history failed" });
+  }
+});
+
+/* ---------------------------------------------------------
+   Runways
+   Loaded once from data/runways.csv (or RUNWAYS_FILE).
+   CSV columns follow the OurAirports runways.csv export
+   (airport_ident, length_ft, width_ft, surface, closed,
+   le_ident, le_heading_degT, he_ident, he_heading_degT) so the
+   full export can be dropped in. A .json file may instead hold
+   [{ airport, lengthFt, widthFt, surface, ends: [{ ident, headingDegT }] }].
+   Missing headings fall back to runway number x 10, which is
+   magnetic; those ends are flagged headingApprox so wind
+   components against a (true) wind are shown as approximate.
+--------------------------------------------------------- */
+function parseCsvLine(line) {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      out.push(cur);
+      cur = "";
+    } else {
+      cur += ch;
+    }
+  }
+  out.push(cur);
+  return out;
+}
+
+function headingFromIdent(ident) {
+  const n = parseInt(ident, 10);
+  return Number.isFinite(n) && n >= 1 && n <= 36 ? n * 10 : null;
+}
+
+function runwayEnd(ident, heading) {
+  const id = (ident || "").toString().trim().toUpperCase();
+  if (!id) return null;
+  const h = heading === "" || heading == null ? NaN : Number(heading);
+  if (Number.isFinite(h)) return { ident: id, headingDegT: h };
+  return { ident: id, headingDegT: headingFromIdent(id), headingApprox: true };
+}
+
+function loadRunways() {
+  const byAirport = new Map();
+  const add = (airport, rwy) => {
+    const key = (airport || "").toString().trim().toUpperCase();
+    if (!key || rwy.ends.length === 0) return;
+    if (!byAirport.has(key)) byAirport.set(key, []);
+    byAirport.get(key).push({ id: rwy.ends.map(e => e.ident).join("/"), ...rwy });
+  };
+
+  try {
+    const text = fs.readFileSync(RUNWAYS_FILE, "utf8");
+
+    if (RUNWAYS_FILE.endsWith(".json")) {
+      for (const r of JSON.parse(text)) {
+        if (r.closed) continue;
+        add(r.airport, {
+          lengthFt: r.lengthFt ?? null,
+          widthFt: r.widthFt ?? null,
+          surface: r.surface ?? null,
+          ends: (r.ends || []).map(e => runwayEnd(e.ident, e.headingDegT)).filter(Boolean)
+        });
+      }
+    } else {
+      const lines = text.split(/\r?\n/).filter(l => l.trim());
+      const header = parseCsvLine(lines[0] || "").map(h => h.trim());
+      const col = (row, name) => {
+        const i = header.indexOf(name);
+        return i >= 0 ? (row[i] ?? "").trim() : "";
+      };
+
+      for (let li = 1; li < lines.length; li++) {
+        const row = parseCsvLine(lines[li]);
+        if (col(row, "closed") === "1") continue;
+        const toNum = (v) => (v === "" ? null : Number(v));
+        add(col(row, "airport_ident"), {
+          lengthFt: toNum(col(row, "length_ft")),
+          widthFt: toNum(col(row, "width_ft")),
+          surface: col(row, "surface") || null,
+          ends: [
+            runwayEnd(col(row, "le_ident"), col(row, "le_heading_degT")),
+            runwayEnd(col(row, "he_ident"), col(row, "he_heading_degT"))
+          ].filter(Boolean)
+        });
+      }
+    }
+  } catch (e) {
+    console.error("Failed to load runways:", e.message);
+  }
+
+  return byAirport;
+}
+
+const runwaysByAirport = loadRunways();
+
+// /api/runways?ids=KMJX,KPHL
+app.get("/api/runways", (req, res) => {
+  const ids = (req.query.ids || "").toString().trim();
+  if (!ids) return res.status(400).json({ error: "Missing ids=..." });
+
+  const out = ids
+    .split(",")
+    .map(s => s.trim().toUpperCase())
+    .filter(Boolean)
+    .map(icaoId => ({ icaoId, runways: runwaysByAirport.get(icaoId) || [] }));
+
+  res.set("Cache-Control", "public, max-age=3600");
+  res.json(out);
+});
+
+/* ---------------------------------------------------------
+   Station index
+   Loaded once from data/stations.json (or STATIONS_FILE):
+   [{ icao, faa, name, city, state, lat, lon, elevFt, hasMetar, hasTaf,
+      iemNetwork }]   iemNetwork null: no IEM station (ASOS fallback
+                      reports it unresolved); absent: <state>_ASOS
+   Fields without an ICAO id (icao: null) are keyed by FAA LID.
+   The file is generated from OurAirports plus the hand-checked rows
+   in data/stations-curated.json; see scripts/build-stations.mjs.
+
+   /api/stations?q=allentown&limit=10   directory search
+   /api/stations?ids=KMJX,N07           lookup several
+   /api/stations/:id                    validate one (ICAO or LID);
+                                        unknown ids fall back to AWC
+--------------------------------------------------------- */
+function loadStations() {
+  try {
+    const json = JSON.parse(fs.readFileSync(STATIONS_FILE, "utf8"));
+    return (Array.isArray(json) ? json : [])
+      .filter(s => s && (s.icao || s.faa) && Number.isFinite(s.lat) && Number.isFinite(s.lon))
+      .map(s => ({ ...s, icao: (s.icao || s.faa).toUpperCase(), faa: (s.faa || "").toUpperCase() || null }));
+  } catch (e) {
+    console.error("Failed to load stations:", e.message);
+    return [];
+  }
+}
+
+const stationIndex = loadStations();
+const stationById = new Map();
+for (const st of stationIndex) {
+  stationById.set(st.icao, st);
+  if (st.faa && !stationById.has(st.faa)) stationById.set(st.faa, st);
+}
+
+// ICAO or FAA LID; "KN07"-style ids (K + LID) find the LID entry
+function findStation(id) {
+  const key = (id || "").toString().trim().toUpperCase();
+  return stationById.get(key) || (/^K[A-Z0-9]{3}$/.test(key) ? stationById.get(key.slice(1)) : null) || null;
+}
+
+const EARTH_RADIUS_NM = 3440.065;
+
+function distanceNm(lat1, lon1, lat2, lon2) {
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLon = (lon2 - lon1) * rad;
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_NM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// -> [{ station, distanceNm }] nearest first
+function nearestStations(lat, lon, { limit = 3, maxNm = Infinity, filter = () => true } = {}) {
+  return stationIndex
+    .filter(filter)
+    .map(station => ({ station, distanceNm: distanceNm(lat, lon, station.lat, station.lon) }))
+    .filter(x => x.distanceNm <= maxNm)
+    .sort((a, b) => a.distanceNm - b.distanceNm)
+    .slice(0, limit);
+}
+
+// Substitute TAF candidates for stations without (or with a poor) TAF
+// /api/stations/nearestTaf?ids=KMJX,KSMQ&count=4
+//   -> [{ icaoId, suggestions: [{ icaoId, name, distanceNm }] }]
+app.get("/api/stations/nearestTaf", (req, res) => {
+  const ids = normalizeIds(req.query.ids || "").slice(0, 60);
+  if (!ids.length) return res.status(400).json({ error: "Missing ids=..." });
+  const count = Math.min(Math.max(parseInt(req.query.count || "4", 10) || 4, 1), 10);
+
+  const out = ids.map(icaoId => {
+    const st = findStation(icaoId);
+    const suggestions = st
+      ? nearestStations(st.lat, st.lon, { limit: count, filter: s => s.hasTaf && s.icao !== st.icao })
+        .map(({ station, distanceNm }) => ({ icaoId: station.icao, name: station.name, distanceNm: Math.round(distanceNm) }))
+      : [];
+    return { icaoId, suggestions };
+  });
+  res.set("Cache-Control", "public, max-age=3600");
+  res.json(out);
+});
+
+const STATION_SEARCH_LIMIT = 25;
+
+function searchStations(q, limit) {
+  const needle = q.toUpperCase();
+  const rank = (st) => {
+    if (st.icao === needle || st.faa === needle) return 0;
+    if (st.icao.startsWith(needle) || st.faa?.startsWith(needle)) return 1;
+    const name = st.name.toUpperCase();
+    const city = (st.city || "").toUpperCase();
+    if (name.startsWith(needle) || city.startsWith(needle)) return 2;
+    if (name.includes(needle) || city.includes(needle)) return 3;
+    return null;
+  };
+  return stationIndex
+    .map(st => ({ st, r: rank(st) }))
+    .filter(x => x.r != null)
+    // Reporting stations first within a rank; the directory is mostly private strips
+    .sort((a, b) => a.r - b.r || (b.st.hasMetar === true) - (a.st.hasMetar === true) || a.st.icao.localeCompare(b.st.icao))
+    .slice(0, limit)
+    .map(x => x.st);
+}
+
+app.get("/api/stations", (req, res) => {
+  const q = (req.query.q || "").toString().trim();
+  const ids = normalizeIds(req.query.ids || "");
+  if (!q && !ids.length) return res.status(400).json({ error: "Missing q= or ids=..." });
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit || "10", 10) || 10, 1), STATION_SEARCH_LIMIT);
+  const out = q ? searchStations(q, limit) : ids.map(findStation).filter(Boolean);
+  res.set("Cache-Control", "public, max-age=3600");
+  res.json(out);
+});
+
+app.get("/api/stations/:id", async (req, res) => {
+  try {
+    const id = req.params.id.trim().toUpperCase();
+    if (!/^[A-Z0-9]{3,4}$/.test(id)) return res.status(400).json({ error: "Identifier must be 3-4 letters/digits" });
+
+    const st = findStation(id);
+    if (st) return res.json(st);
+
+    // Not in the bundled table: accept it if AWC has a METAR for it. Asked
+    // directly (not via getAwcMetars) so a mistyped id is never polled
+    const cached = await peekStation("awc:metar", id);
+    const m = cached !== undefined ? cached : (await fetchAwcMetarBatch([id])).get(id);
+    if (!m) return res.status(404).json({ error: `Unknown station: ${id}` });
+    res.json({
+      icao: id, faa: null, name: m.name || id, city: null, state: null,
+      lat: m.lat ?? null, lon: m.lon ?? null, elevFt: typeof m.elev === "number" ? Math.round(m.elev * 3.28084) : null,
+      hasMetar: true, hasTaf: null, source: "awc"
+    });
+  } catch (e) {
+    if (e instanceof UpstreamError) return res.status(502).json({ error: e.message, ...e.details });
+    console.error("Station lookup failed:", e);
+    res.status(500).json({ error: "Station lookup failed" });
+  }
+});
+
+/* ---------------------------------------------------------
+   Landing sites (helipads / hospital LZs)
+   Stored in DATA_DIR/sites.json:
+   [{ id, name, lat, lon, elevationFt, mode ("worst" | "blended") }]
+
+   /api/sites                   GET list, POST create
+   /api/sites/:id               PUT update, DELETE remove
+   /api/sites/weather?profile=  conditions for every site
+
+   Each site resolves to its nearest SITE_STATION_COUNT METAR
+   stations and nearest TAF within SITE_MAX_RADIUS_NM. "worst"
+   takes the lowest visibility and ceiling of those stations;
+   "blended" weights them by inverse distance squared.
+--------------------------------------------------------- */
+const CEIL_UNLIMITED_FT = 10000;
+
+function validateSite(body, existing = {}) {
+  const merged = { ...existing, ...body };
+  const name = (merged.name || "").toString().trim().slice(0, 80);
+  const lat = Number(merged.lat);
+  const lon = Number(merged.lon);
+  const elevationFt = merged.elevationFt === "" || merged.elevationFt == null ? null : Number(merged.elevationFt);
+  const mode = merged.mode === "blended" ? "blended" : "worst";
+
+  if (!name) return { error: "Missing name" };
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) return { error: "Invalid lat" };
+  if (!Number.isFinite(lon) || lon < -180 || lon > 180) return { error: "Invalid lon" };
+  if (elevationFt != null && !Number.isFinite(elevationFt)) return { error: "Invalid elevationFt" };
+
+  return { site: { name, lat, lon, elevationFt, mode } };
+}
+
+// With no known ceiling anywhere, it's unlimited only if every station says so
+function worstOf(obsList) {
+  let vis = null, ceil = null, visFrom = null, ceilFrom = null;
+  for (const o of obsList) {
+    if (typeof o.vis === "number" && (vis == null || o.vis < vis)) { vis = o.vis; visFrom = o.icaoId; }
+    if (typeof o.ceil === "number" && (ceil == null || o.ceil < ceil)) { ceil = o.ceil; ceilFrom = o.icaoId; }
+  }
+  const conditions = {
+    vis,
+    visState: valueState(vis),
+    ceil,
+    ceilState: valueState(ceil, obsList.length > 0 && obsList.every(o => o.ceilState !== "missing"))
+  };
+  return { cat: categoryFromConditions(conditions), vis, ceil, ceilState: conditions.ceilState, visFrom, ceilFrom };
+}
+
+function blendedOf(obsList) {
+  let wVis = 0, sVis = 0, wCeil = 0, sCeil = 0;
+  for (const o of obsList) {
+    const w = 1 / Math.max(o.distanceNm, 1) ** 2;
+    if (typeof o.vis === "number") { wVis += w; sVis += w * o.vis; }
+    if (o.hasObs && o.ceilState !== "missing") {
+      wCeil += w;
+      sCeil += w * (typeof o.ceil === "number" ? Math.min(o.ceil, CEIL_UNLIMITED_FT) : CEIL_UNLIMITED_FT);
+    }
+  }
+  const vis = wVis ? Math.round((sVis / wVis) * 100) / 100 : null;
+  const c = wCeil ? Math.round(sCeil / wCeil / 100) * 100 : null;
+  const ceil = c != null && c < CEIL_UNLIMITED_FT ? c : null;
+  const conditions = { vis, visState: valueState(vis), ceil, ceilState: valueState(ceil, wCeil > 0) };
+  return { cat: categoryFromConditions(conditions), vis, ceil, ceilState: conditions.ceilState };
+}
+
+function describeObs(o) {
+  if (!o.hasObs) return `${o.icaoId} ${o.distanceNm.toFixed(1)} nm — no current METAR`;
+  const vis = typeof o.vis === "number" ? `${o.vis}sm` : "vis not reported";
+  const ceil = typeof o.ceil === "number" ? `${o.ceil}ft`
+    : o.ceilState === "missing" ? "ceiling not reported" : "no ceiling";
+  return `${o.icaoId} ${o.distanceNm.toFixed(1)} nm — ${o.cat.toUpperCase()} (${vis}, ${ceil})`;
+}
+
+function siteConditions(site, metarsById, tafsById, profile) {
+  const near = nearestStations(site.lat, site.lon, {
+    limit: SITE_STATION_COUNT,
+    maxNm: SITE_MAX_RADIUS_NM,
+    filter: st => st.hasMetar !== false
+  });
+  const nearTaf = nearestStations(site.lat, site.lon, {
+    limit: 1,
+    maxNm: SITE_MAX_RADIUS_NM,
+    filter: st => st.hasTaf
+  })[0] || null;
+
+  const stations = near.map(({ station, distanceNm: d }) => {
+    const m = metarsById.get(station.icao) || null;
+    return {
+      icaoId: station.icao,
+      name: station.name,
+      distanceNm: Math.round(d * 10) / 10,
+      hasObs: Boolean(m),
+      cat: m?.flightCategory || "unk",
+      vis: m?.visibility?.sm ?? null,
+      ceil: m?.ceilingFt ?? null,
+      ceilState: m?.ceilingState || "missing",
+      obsTime: m?.obsTime || null,
+      raw: m?.raw || null
+    };
+  });
+
+  const withObs = stations.filter(o => o.hasObs);
+  const worst = withObs.length ? worstOf(withObs) : { cat: "unk", vis: null, ceil: null, ceilState: "missing", visFrom: null, ceilFrom: null };
+  const blended = withObs.length ? blendedOf(withObs) : { cat: "unk", vis: null, ceil: null, ceilState: "missing" };
+  const chosen = site.mode === "blended" ? blended : worst;
+
+  const explanation = stations.map(describeObs);
+  if (!stations.length) {
+    explanation.push(`No reporting stations within ${SITE_MAX_RADIUS_NM} nm`);
+  } else if (site.mode === "blended") {
+    explanation.push(`Blended (inverse distance) from ${withObs.map(o => o.icaoId).join(", ") || "—"}`);
+  } else {
+    if (worst.visFrom) explanation.push(`Lowest visibility from ${worst.visFrom}`);
+    if (worst.ceilFrom) explanation.push(`Lowest ceiling from ${worst.ceilFrom}`);
+  }
+
+  let taf = null;
+  if (nearTaf) {
+    const t = tafsById.get(nearTaf.station.icao);
+    taf = {
+      icaoId: nearTaf.station.icao,
+      distanceNm: Math.round(nearTaf.distanceNm * 10) / 10,
+      rawTAF: t?.rawTAF || null,
+      timeline: t?.timeline || []
+    };
+    explanation.push(`Forecast from ${taf.icaoId} TAF, ${taf.distanceNm} nm`);
+  } else {
+    explanation.push(`No TAF within ${SITE_MAX_RADIUS_NM} nm`);
+  }
+
+  return {
+    site,
+    mode: site.mode,
+    conditions: chosen,
+    worst,
+    blended,
+    minimums: evaluateMinimums(profile, {
+      vis: chosen.vis, visState: valueState(chosen.vis), ceil: chosen.ceil, ceilState: chosen.ceilState,
+      time: new Date(), lat: site.lat, lon: site.lon
+    }),
+    stations,
+    taf,
+    explanation
+  };
+}
+
+app.get("/api/sites", async (req, res) => {
+  res.json(await readStore("sites", []));
+});
+
+app.post("/api/sites", async (req, res) => {
+  try {
+    const { site, error } = validateSite(req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    const created = await updateStore("sites", [], (sites) => {
+      const s = { id: crypto.randomUUID().slice(0, 8), ...site };
+      sites.push(s);
+      return s;
+    });
+    res.status(201).json(created);
+  } catch (e) {
+    console.error("Create site failed:", e);
+    res.status(500).json({ error: "Create site failed" });
+  }
+});
+
+app.get("/api/sites/weather", async (req, res) => {
+  try {
+    const profileId = (req.query.profile || "").toString().trim();
+    const profile = getMinimumsProfile(profileId);
+    if (profileId && !profile) return res.status(400).json({ error: `Unknown minimums profile: ${profileId}` });
+    const hours = Math.min(Math.max(parseInt(req.query.hours || "24", 10), 1), 48);
+
+    const sites = await readStore("sites", []);
+    if (!sites.length) return res.json([]);
+
+    const metarIds = new Set();
+    const tafIds = new Set();
+    for (const site of sites) {
+      nearestStations(site.lat, site.lon, { limit: SITE_STATION_COUNT, maxNm: SITE_MAX_RADIUS_NM, filter: st => st.hasMetar !== false })
+        .forEach(x => metarIds.add(x.station.icao));
+      nearestStations(site.lat, site.lon, { limit: 1, maxNm: SITE_MAX_RADIUS_NM, filter: st => st.hasTaf })
+        .forEach(x => tafIds.add(x.station.icao));
+    }
+
+    const [metars, tafs] = await Promise.all([
+      metarIds.size ? getDecodedMetars([...metarIds].sort().join(",")) : [],
+      tafIds.size ? getTafTimelines([...tafIds].sort().join(","), hours, profile) : []
+    ]);
+    const metarsById = new Map(metars.map(m => [m.icaoId, m]));
+    const tafsById = new Map(tafs.map(t => [t.icaoId, t]));
+
+    res.set("Cache-Control", "no-store");
+    res.json(sites.map(site => siteConditions(site, metarsById, tafsById, profile)));
+  } catch (e) {
+    if (e instanceof UpstreamError) return res.status(502).json({ error: e.message, ...e.details });
+    console.error("Site weather failed:", e);
+    res.status(500).json({ error: "Site weather failed", detail: e?.message || String(e) });
+  }
+});
+
+app.put("/api/sites/:id", async (req, res) => {
+  try {
+    const result = await updateStore("sites", [], (sites) => {
+      const i = sites.findIndex(s => s.id === req.params.id);
+      if (i < 0) return { status: 404, body: { error: "Site not found" } };
+      const { site, error } = validateSite(req.body || {}, sites[i]);
+      if (error) return { status: 400, body: { error } };
+      sites[i] = { id: sites[i].id, ...site };
+      return { status: 200, body: sites[i] };
+    });
+    res.status(result.status).json(result.body);
+  } catch (e) {
+    console.error("Update site failed:", e);
+    res.status(500).json({ error: "Update site failed" });
+  }
+});
+
+app.delete("/api/sites/:id", async (req, res) => {
+  try {
+    const removed = await updateStore("sites", [], (sites) => {
+      const i = sites.findIndex(s => s.id === req.params.id);
+      if (i < 0) return false;
+      sites.splice(i, 1);
+      return true;
+    });
+    if (!removed) return res.status(404).json({ error: "Site not found" });
+    res.status(204).end();
+  } catch (e) {
+    console.error("Delete site failed:", e);
+    res.status(500).json({ error: "Delete site failed" });
+  }
+});
+
+/* ---------------------------------------------------------
+   Boards (team-shared station lists)
+   Stored in DATA_DIR/boards.json:
+   [{ id, name, stations: [{ id, name }], tafOverride: { ICAO: ICAO },
+      profile, updatedAt }]
+   id is a slug of the name and is what the page URL selects
+   (/?board=north-base). Station order is display order.
+--------------------------------------------------------- */
+const BOARD_MAX_STATIONS = 60;
+const ICAO_RE = /^[A-Z0-9]{3,4}$/;
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 40) || "board";
+}
+
+// { ICAO: ICAO } station -> station whose TAF it borrows
+function parseTafOverride(raw) {
+  const tafOverride = {};
+  for (const [from, to] of Object.entries(raw && typeof raw === "object" ? raw : {})) {
+    const a = from.toString().trim().toUpperCase();
+    const b = (to || "").toString().trim().toUpperCase();
+    if (!ICAO_RE.test(a) || !ICAO_RE.test(b)) return { error: `Invalid TAF override: ${from} -> ${to}` };
+    if (a !== b) tafOverride[a] = b;
+  }
+  return { tafOverride };
+}
+
+function validateBoard(body, existing = {}) {
+  const merged = { ...existing, ...body };
+  const name = (merged.name || "").toString().trim().slice(0, 60);
+  const profile = (merged.profile || "").toString().trim() || null;
+
+  if (!name) return { error: "Missing name" };
+  if (!Array.isArray(merged.stations) || !merged.stations.length) return { error: "Missing stations" };
+  if (merged.stations.length > BOARD_MAX_STATIONS) return { error: `At most ${BOARD_MAX_STATIONS} stations per board` };
+  if (profile && !getMinimumsProfile(profile)) return { error: `Unknown minimums profile: ${profile}` };
+
+  const stations = [];
+  for (const s of merged.stations) {
+    const id = (s?.id || "").toString().trim().toUpperCase();
+    if (!ICAO_RE.test(id)) return { error: `Invalid station id: ${id || "(empty)"}` };
+    if (stations.some(x => x.id === id)) continue;
+    stations.push({ id, name: (s.name || "").toString().trim().slice(0, 80) || id });
+  }
+
+  const { tafOverride, error } = parseTafOverride(merged.tafOverride);
+  if (error) return { error };
+
+  return { board: { name, stations, tafOverride, profile } };
+}
+
+app.get("/api/boards", async (req, res) => {
+  const boards = await readStore("boards", []);
+  res.json(boards.map(({ id, name, stations, updatedAt }) => ({ id, name, stationCount: stations.length, updatedAt })));
+});
+
+app.get("/api/boards/:id", async (req, res) => {
+  const board = (await readStore("boards", [])).find(b => b.id === req.params.id);
+  if (!board) return res.status(404).json({ error: "Board not found" });
+  res.json(board);
+});
+
+app.post("/api/boards", async (req, res) => {
+  try {
+    const { board, error } = validateBoard(req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    const created = await updateStore("boards", [], (boards) => {
+      const base = slugify(board.name);
+      let id = base;
+      for (let n = 2; boards.some(b => b.id === id); n++) id = `${base}-${n}`;
+      const b = { id, ...board, updatedAt: new Date().toISOString() };
+      boards.push(b);
+      return b;
+    });
+    res.status(201).json(created);
+  } catch (e) {
+    console.error("Create board failed:", e);
+    res.status(500).json({ error: "Create board failed" });
+  }
+});
+
+app.put("/api/boards/:id", async (req, res) => {
+  try {
+    const result = await updateStore("boards", [], (boards) => {
+      const i = boards.findIndex(b => b.id === req.params.id);
+      if (i < 0) return { status: 404, body: { error: "Board not found" } };
+      const { board, error } = validateBoard(req.body || {}, boards[i]);
+      if (error) return { status: 400, body: { error } };
+      boards[i] = { id: boards[i].id, ...board, updatedAt: new Date().toISOString() };
+      return { status: 200, body: boards[i] };
+    });
+    res.status(result.status).json(result.body);
+  } catch (e) {
+    console.error("Update board failed:", e);
+    res.status(500).json({ error: "Update board failed" });
+  }
+});
+
+app.delete("/api/boards/:id", async (req, res) => {
+  try {
+    const removed = await updateStore("boards", [], (boards) => {
+      const i = boards.findIndex(b => b.id === req.params.id);
+      if (i < 0) return false;
+      boards.splice(i, 1);
+      return true;
+    });
+    if (!removed) return res.status(404).json({ error: "Board not found" });
+    res.status(204).end();
+  } catch (e) {
+    console.error("Delete board failed:", e);
+    res.status(500).json({ error: "Delete board failed" });
+  }
+});
+
+/* ---------------------------------------------------------
+   Route / leg briefing
+   /api/route?waypoints=KMJX,site:ab12cd34,KPHL
+             &corridorNm=10&speedKt=120&depart=ISO&profile=
+
+   Waypoints are station ids (ICAO or FAA), saved landing
+   sites ("site:<id>") or raw positions ("39.93/-74.29").
+   Each leg gathers every reporting station within corridorNm
+   of the great-circle track, then takes the worst current
+   observation and the worst forecast hour (TEMPO/PROB
+   included) between the leg's departure and arrival times.
+--------------------------------------------------------- */
+const ROUTE_DEFAULT_CORRIDOR_NM = 10;
+const ROUTE_DEFAULT_SPEED_KT = 120;
+const ROUTE_MAX_WAYPOINTS = 8;
+
+const MINIMUMS_RANK = { unk: 0, go: 1, marginal: 2, nogo: 3 };
+
+function initialCourseDeg(lat1, lon1, lat2, lon2) {
+  const rad = Math.PI / 180;
+  const y = Math.sin((lon2 - lon1) * rad) * Math.cos(lat2 * rad);
+  const x = Math.cos(lat1 * rad) * Math.sin(lat2 * rad) -
+    Math.sin(lat1 * rad) * Math.cos(lat2 * rad) * Math.cos((lon2 - lon1) * rad);
+  return (Math.atan2(y, x) / rad + 360) % 360;
+}
+
+// -> { offsetNm, alongNm } of a point relative to the leg a -> b
+function legOffset(p, a, b) {
+  const legNm = distanceNm(a.lat, a.lon, b.lat, b.lon);
+  const d13 = distanceNm(a.lat, a.lon, p.lat, p.lon);
+  if (legNm < 0.1) return { offsetNm: d13, alongNm: 0 };
+
+  const rad = Math.PI / 180;
+  const dTheta = (initialCourseDeg(a.lat, a.lon, p.lat, p.lon) -
+    initialCourseDeg(a.lat, a.lon, b.lat, b.lon)) * rad;
+  const xt = Math.asin(Math.sin(d13 / EARTH_RADIUS_NM) * Math.sin(dTheta)) * EARTH_RADIUS_NM;
+  const at = Math.acos(Math.max(-1, Math.min(1,
+    Math.cos(d13 / EARTH_RADIUS_NM) / Math.cos(xt / EARTH_RADIUS_NM)))) * EARTH_RADIUS_NM *
+    (Math.cos(dTheta) < 0 ? -1 : 1);
+
+  // Beyond either end, measure to the nearest endpoint instead
+  if (at < 0) return { offsetNm: d13, alongNm: 0 };
+  if (at > legNm) return { offsetNm: distanceNm(b.lat, b.lon, p.lat, p.lon), alongNm: legNm };
+  return { offsetNm: Math.abs(xt), alongNm: at };
+}
+
+function resolveWaypoint(token, sites) {
+  const t = token.trim();
+  const pos = t.match(/^(-?\d+(?:\.\d+)?)\/(-?\d+(?:\.\d+)?)$/);
+  if (pos) {
+    const lat = Number(pos[1]);
+    const lon = Number(pos[2]);
+    if (lat < -90 || lat > 90 || lon < -180 || lon > 180) return null;
+    return { id: t, kind: "position", name: t, lat, lon };
+  }
+  if (/^site:/i.test(t)) {
+    const site = sites.find(s => s.id === t.slice(5));
+    return site ? { id: t, kind: "site", name: site.name, lat: site.lat, lon: site.lon } : null;
+  }
+  const st = findStation(t);
+  return st ? { id: st.icao, kind: "station", name: st.name, lat: st.lat, lon: st.lon } : null;
+}
+
+function worseMinimums(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return (MINIMUMS_RANK[b.status] ?? 0) > (MINIMUMS_RANK[a.status] ?? 0) ? b : a;
+}
+
+// Worst forecast hour across the corridor TAFs between two times
+function legForecast(tafs, departMs, arriveMs) {
+  const from = topOfHour(new Date(departMs)).getTime();
+  let worst = null;
+  let minimums = null;
+  let vis = null, ceil = null, ceilMissing = false;
+
+  for (const t of tafs) {
+    for (const h of t.timeline || []) {
+      const ms = Date.parse(h.hourIso);
+      if (ms < from || ms > arriveMs) continue;
+
+      for (const c of [h, h.worst].filter(Boolean)) {
+        if (typeof c.vis === "number" && (vis == null || c.vis < vis)) vis = c.vis;
+        if (typeof c.ceil === "number" && (ceil == null || c.ceil < ceil)) ceil = c.ceil;
+        if (c.ceilState === "missing") ceilMissing = true;
+        minimums = worseMinimums(minimums, c.minimums);
+
+        const cat = (c.cat || "unk").toLowerCase();
+        if (!worst || (CATEGORY_RANK[cat] ?? 0) > (CATEGORY_RANK[worst.cat] ?? 0)) {
+          worst = { cat, icaoId: t.icaoId, hourIso: h.hourIso, qualifier: c === h ? null : c.type || null };
+        }
       }
     }
+  }
 
-    const out = Array.from(latest.values()).map(({ _t, ...rest }) => rest);
+  return worst
+    ? { ...worst, vis, ceil, ceilState: valueState(ceil, !ceilMissing), minimums }
+    : { cat: "unk", icaoId: null, hourIso: null, qualifier: null, vis: null, ceil: null, ceilState: "missing", minimums: null };
+}
 
-    return sendCachedOrSet(
-      res,
-      cacheKey,
-      200,
-      JSON.stringify(out),
-      "application/json"
+function buildRouteBriefing(waypoints, { corridorNm, speedKt, departMs, metarsById, tafsById }) {
+  const legs = [];
+  let t = departMs;
+  let totalNm = 0;
+
+  for (let i = 0; i < waypoints.length - 1; i++) {
+    const a = waypoints[i];
+    const b = waypoints[i + 1];
+    const legNm = distanceNm(a.lat, a.lon, b.lat, b.lon);
+    const eteMin = Math.round((legNm / speedKt) * 60);
+    const arriveMs = t + eteMin * 60 * 1000;
+
+    const stations = stationIndex
+      .map(station => ({ station, ...legOffset(station, a, b) }))
+      .filter(x => x.offsetNm <= corridorNm)
+      .sort((x, y) => x.alongNm - y.alongNm)
+      .map(({ station, offsetNm, alongNm }) => {
+        const m = metarsById.get(station.icao) || null;
+        // Stale reports are listed but don't count toward the leg's category
+        const stale = Boolean(m) && isStaleObs(m.obsTime);
+        return {
+          icaoId: station.icao,
+          name: station.name,
+          offsetNm: Math.round(offsetNm * 10) / 10,
+          alongNm: Math.round(alongNm * 10) / 10,
+          hasObs: Boolean(m) && !stale,
+          stale,
+          hasTaf: Boolean(station.hasTaf),
+          cat: m && !stale ? m.flightCategory || "unk" : "unk",
+          vis: m?.visibility?.sm ?? null,
+          ceil: m?.ceilingFt ?? null,
+          ceilState: m?.ceilingState || "missing",
+          obsTime: m?.obsTime || null,
+          raw: m?.raw || null,
+          minimums: stale ? null : m?.minimums || null
+        };
+      });
+
+    const withObs = stations.filter(o => o.hasObs);
+    const current = withObs.length
+      ? { ...worstOf(withObs), minimums: withObs.reduce((acc, o) => worseMinimums(acc, o.minimums), null) }
+      : { cat: "unk", vis: null, ceil: null, ceilState: "missing", visFrom: null, ceilFrom: null, minimums: null };
+
+    const forecast = legForecast(
+      stations.filter(s => s.hasTaf).map(s => tafsById.get(s.icaoId)).filter(Boolean),
+      t,
+      arriveMs
     );
+
+    const status = worseMinimums(current.minimums, forecast.minimums)?.status || null;
+
+    legs.push({
+      from: a,
+      to: b,
+      distanceNm: Math.round(legNm * 10) / 10,
+      courseDeg: Math.round(initialCourseDeg(a.lat, a.lon, b.lat, b.lon)),
+      eteMin,
+      departIso: new Date(t).toISOString(),
+      arriveIso: new Date(arriveMs).toISOString(),
+      stations,
+      current,
+      forecast,
+      status
+    });
+
+    totalNm += legNm;
+    t = arriveMs;
+  }
+
+  const cat = legs.reduce((acc, l) => {
+    const c = [l.current.cat, l.forecast.cat].sort((x, y) => CATEGORY_RANK[y] - CATEGORY_RANK[x])[0];
+    return CATEGORY_RANK[c] > CATEGORY_RANK[acc] ? c : acc;
+  }, "unk");
+  const status = legs.reduce((acc, l) => (
+    l.status && (MINIMUMS_RANK[l.status] ?? 0) > (MINIMUMS_RANK[acc] ?? -1) ? l.status : acc
+  ), null);
+
+  return {
+    departIso: new Date(departMs).toISOString(),
+    arriveIso: new Date(t).toISOString(),
+    totalNm: Math.round(totalNm * 10) / 10,
+    eteMin: Math.round((t - departMs) / 60000),
+    corridorNm,
+    speedKt,
+    waypoints,
+    cat,
+    status,
+    legs
+  };
+}
+
+app.get("/api/route", async (req, res) => {
+  try {
+    const tokens = (req.query.waypoints || "").toString().split(",").map(s => s.trim()).filter(Boolean);
+    if (tokens.length < 2) return res.status(400).json({ error: "Need at least two waypoints=A,B" });
+    if (tokens.length > ROUTE_MAX_WAYPOINTS) {
+      return res.status(400).json({ error: `At most ${ROUTE_MAX_WAYPOINTS} waypoints` });
+    }
+
+    const corridorNm = Math.min(Math.max(Number(req.query.corridorNm || ROUTE_DEFAULT_CORRIDOR_NM), 1), 50);
+    const speedKt = Math.min(Math.max(Number(req.query.speedKt || ROUTE_DEFAULT_SPEED_KT), 30), 500);
+    if (!Number.isFinite(corridorNm) || !Number.isFinite(speedKt)) {
+      return res.status(400).json({ error: "Invalid corridorNm or speedKt" });
+    }
+    const depart = req.query.depart ? toDate(req.query.depart.toString()) : new Date();
+    if (!depart) return res.status(400).json({ error: "Invalid depart time" });
+
+    const profileId = (req.query.profile || "").toString().trim();
+    const profile = getMinimumsProfile(profileId);
+    if (profileId && !profile) return res.status(400).json({ error: `Unknown minimums profile: ${profileId}` });
+
+    const sites = tokens.some(t => /^site:/i.test(t)) ? await readStore("sites", []) : [];
+    const waypoints = [];
+    for (const token of tokens) {
+      const wp = resolveWaypoint(token, sites);
+      if (!wp) return res.status(400).json({ error: `Unknown waypoint: ${token}` });
+      waypoints.push(wp);
+    }
+
+    // Stations in any leg's corridor, fetched in one batch each
+    const metarIds = new Set();
+    const tafIds = new Set();
+    for (let i = 0; i < waypoints.length - 1; i++) {
+      for (const st of stationIndex) {
+        if (legOffset(st, waypoints[i], waypoints[i + 1]).offsetNm > corridorNm) continue;
+        if (st.hasMetar !== false) metarIds.add(st.icao);
+        if (st.hasTaf) tafIds.add(st.icao);
+      }
+    }
+
+    const hours = Math.min(Math.max(Math.ceil((depart.getTime() - Date.now()) / 3600000), 0) +
+      Math.ceil(waypoints.reduce((sum, wp, i) => (
+        i ? sum + distanceNm(waypoints[i - 1].lat, waypoints[i - 1].lon, wp.lat, wp.lon) : sum
+      ), 0) / speedKt) + 2, 48);
+
+    const [metars, tafs] = await Promise.all([
+      metarIds.size ? getDecodedMetars([...metarIds].sort().join(","), profile) : [],
+      tafIds.size ? getTafTimelines([...tafIds].sort().join(","), hours, profile) : []
+    ]);
+
+    res.set("Cache-Control", "no-store");
+    res.json(buildRouteBriefing(waypoints, {
+      corridorNm,
+      speedKt,
+      departMs: depart.getTime(),
+      metarsById: new Map(metars.map(m => [m.icaoId, m])),
+      tafsById: new Map(tafs.map(t => [t.icaoId, t]))
+    }));
   } catch (e) {
-    console.error("ASOS proxy failed:", e);
-    res.status(500).json({ error: "ASOS proxy failed" });
+    if (e instanceof UpstreamError) return res.status(502).json({ error: e.message, ...e.details });
+    console.error("Route briefing failed:", e);
+    res.status(500).json({ error: "Route briefing failed", detail: e?.message || String(e) });
+  }
+});
+
+/* ---------------------------------------------------------
+   Background poller
+   Refreshes every station in watchRegistry on a UTC schedule:
+   every 5 minutes around the top of the hour, when routine
+   METARs (observed :51-:59) land at AWC and IEM, and every
+   10 minutes otherwise to pick up specials and TAF amendments.
+   Stations nobody asked for in POLL_WATCH_HOURS are dropped;
+   POLL_BASE_STATIONS never are.
+--------------------------------------------------------- */
+const POLL_MINUTES = [0, 5, 10, 20, 30, 40, 50, 55];
+const POLL_BATCH_SIZE = 40;
+
+const pollState = {
+  runs: 0,
+  lastRunAt: null,
+  lastDurationMs: null,
+  lastStations: 0,
+  lastErrors: [],
+  nextRunAt: null
+};
+let pollTimer = null;
+
+function nextPollTime(now = Date.now()) {
+  const t = new Date(now);
+  t.setUTCSeconds(0, 0);
+  do {
+    t.setUTCMinutes(t.getUTCMinutes() + 1);
+  } while (!POLL_MINUTES.includes(t.getUTCMinutes()));
+  return t;
+}
+
+function watchBaseStations() {
+  // Infinity: never ages out of the registry
+  watchStations("awc:metar", fetchAwcMetarBatch, POLL_BASE_STATIONS, Infinity);
+  watchStations("awc:taf", fetchAwcTafBatch, POLL_BASE_STATIONS, Infinity);
+  for (const { network, station } of resolveAsosStations(POLL_BASE_STATIONS).filter(r => r.network)) {
+    watchStations(`iem:${network}`, asosBatchFetcher(network), [station], Infinity);
+  }
+}
+
+async function pollOnce() {
+  const started = Date.now();
+  const cutoff = started - POLL_WATCH_HOURS * 60 * 60 * 1000;
+  const jobs = [];
+  let count = 0;
+
+  watchStreamClients(started);
+
+  for (const [prefix, w] of watchRegistry) {
+    for (const [id, seen] of w.ids) {
+      if (seen < cutoff) w.ids.delete(id);
+    }
+    const ids = [...w.ids.keys()].filter(id => !stationInflight.has(`${prefix}:${id}`));
+    count += ids.length;
+    for (let i = 0; i < ids.length; i += POLL_BATCH_SIZE) {
+      const batch = ids.slice(i, i + POLL_BATCH_SIZE);
+      jobs.push(startStationBatch(prefix, batch, w.fetchBatch, TTL_MS)
+        .catch(e => { throw new Error(`${prefix} ${batch.join(",")}: ${e.message}`); }));
+    }
+  }
+
+  const results = await Promise.allSettled(jobs);
+  const errors = results.filter(r => r.status === "rejected").map(r => r.reason.message);
+  errors.forEach(msg => console.warn("Poll failed:", msg));
+
+  Object.assign(pollState, {
+    runs: pollState.runs + 1,
+    lastRunAt: new Date(started).toISOString(),
+    lastDurationMs: Date.now() - started,
+    lastStations: count,
+    lastErrors: errors
+  });
+
+  await runAlertEngine().catch(e => console.error("Alert engine failed:", e));
+}
+
+function schedulePoll() {
+  const next = nextPollTime();
+  pollState.nextRunAt = next.toISOString();
+  pollTimer = setTimeout(async () => {
+    try {
+      await pollOnce();
+    } catch (e) {
+      console.error("Poller crashed:", e);
+    }
+    schedulePoll();
+  }, next.getTime() - Date.now());
+}
+
+function startPoller() {
+  if (!POLL_ENABLED || pollTimer) return;
+  watchBaseStations();
+  // Warm the cache right away, then follow the schedule
+  pollOnce().catch(e => console.error("Poller crashed:", e));
+  schedulePoll();
+}
+
+/* ---------------------------------------------------------
+   Live updates (Server-Sent Events)
+   /api/stream?metar=KMJX,KWRI&taf=KWRI,KACY&asos=KMJX,KABE
+              [&profile=&hours=24]
+
+   Pushes, for the subscribed stations only, whenever the
+   server sees a new report (poller or any client request):
+     event: metar  { icaoId, obs, previousCat, catChanged }
+     event: taf    { icaoId, taf }   (same shape as /api/tafTimeline)
+     event: asos   { station, icaoId, network, row }  (row as in /api/asosLatest)
+   Subscribed stations stay on the poller while connected.
+--------------------------------------------------------- */
+const STREAM_MAX_STATIONS = 60;
+const STREAM_HEARTBEAT_MS = 25 * 1000; // under Fly's 60s idle timeout
+
+const streamClients = new Set();
+
+function watchStreamClients(at = Date.now()) {
+  for (const c of streamClients) {
+    watchStations("awc:metar", fetchAwcMetarBatch, [...c.metar], at);
+    watchStations("awc:taf", fetchAwcTafBatch, [...c.taf], at);
+    for (const { network, station } of c.asos.values()) {
+      watchStations(`iem:${network}`, asosBatchFetcher(network), [station], at);
+    }
+  }
+}
+
+// -> [event, data] for one client, or null if the change doesn't concern it
+function streamEventFor(client, { prefix, id, item, previous }) {
+  if (!item) return null;
+
+  if (prefix === "awc:metar" && client.metar.has(id)) {
+    if (previous?.rawOb === item.rawOb) return null;
+    const [obs] = decodedMetarsFrom(new Map([[id, item]]), client.profile);
+    const [prev] = decodedMetarsFrom(new Map([[id, previous]]), null);
+    const previousCat = prev?.flightCategory || null;
+    return ["metar", { icaoId: id, obs, previousCat, catChanged: Boolean(previousCat) && previousCat !== obs.flightCategory }];
+  }
+
+  if (prefix === "awc:taf" && client.taf.has(id)) {
+    if (previous?.rawTAF && previous.rawTAF === item.rawTAF) return null;
+    const [taf] = tafTimelinesFrom(new Map([[id, item]]), client.hours, client.profile);
+    return ["taf", { icaoId: id, taf }];
+  }
+
+  const asos = client.asos.get(`${prefix}:${id}`);
+  if (asos && item.length) {
+    if (previous?.length && previous[previous.length - 1].validUtc === item[item.length - 1].validUtc) return null;
+    return ["asos", { station: id, icaoId: asos.icaoId, network: asos.network, row: asosRowFor(asos, latestAsosRow(item, client.profile)) }];
+  }
+
+  return null;
+}
+
+app.get("/api/stream", (req, res) => {
+  const metar = normalizeIds(req.query.metar || "");
+  const taf = normalizeIds(req.query.taf || "");
+  const asos = normalizeIds(req.query.asos || "");
+  if (!metar.length && !taf.length && !asos.length) {
+    return res.status(400).json({ error: "Missing metar=, taf= or asos=..." });
+  }
+  if (metar.length + taf.length + asos.length > STREAM_MAX_STATIONS) {
+    return res.status(400).json({ error: `At most ${STREAM_MAX_STATIONS} stations per stream` });
+  }
+
+  const profileId = (req.query.profile || "").toString().trim();
+  const profile = getMinimumsProfile(profileId);
+  if (profileId && !profile) return res.status(400).json({ error: `Unknown minimums profile: ${profileId}` });
+
+  const network = (req.query.network || "").toString().trim() || null;
+  const resolved = resolveAsosStations(asos, network);
+  const client = {
+    metar: new Set(metar),
+    taf: new Set(taf),
+    // "iem:<network>:<station>" cache key -> resolved station
+    asos: new Map(resolved.filter(r => r.network).map(r => [`iem:${r.network}:${r.station}`, r])),
+    hours: Math.min(Math.max(parseInt(req.query.hours || "24", 10), 1), 48),
+    profile
+  };
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-store",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  const onUpdate = (update) => {
+    try {
+      const ev = streamEventFor(client, update);
+      if (ev) send(...ev);
+    } catch (e) {
+      console.error("Stream event failed:", e);
+    }
+  };
+
+  streamClients.add(client);
+  watchStreamClients();
+  stationEvents.on("update", onUpdate);
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), STREAM_HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    stationEvents.off("update", onUpdate);
+    streamClients.delete(client);
+  });
+
+  res.write("retry: 10000\n\n");
+  send("ready", { metar, taf, asos: [...client.asos.values()], unresolved: resolved.filter(r => !r.network).map(r => r.icaoId) });
+});
+
+/* ---------------------------------------------------------
+   Alert engine + log
+   Stored in DATA_DIR/alerts.json:
+   [{ id, key, type ("now" | "forecast"), icaoId, name, cat,
+      qualifier, hourIso, message, status ("active" | "expired"),
+      createdAt, updatedAt, expiredAt, expiredReason, ackBy, ackAt }]
+
+   Re-evaluated for every polled station after each poll and
+   whenever a report changes. A station with a TAF override on
+   a shared board is forecast from the borrowed TAF, as the
+   board shows it. One active alert per condition
+   (key = type:station:cat[:qualifier]); when the condition
+   clears or changes category the alert is expired, not deleted.
+
+   /api/alerts?ids=&status=active|all   current alerts
+   /api/alerts/history?days=7&ids=      log, newest first
+   /api/alerts/:id/ack  POST { by }     acknowledge
+--------------------------------------------------------- */
+const ALERT_LOOKAHEAD_HOURS = 6;
+const ALERT_HISTORY_DAYS = 30;
+
+// Parsed cache entry without triggering a fetch (undefined = nothing cached)
+async function peekStation(prefix, id) {
+  const entry = await upstreamCache.get(`${prefix}:${id}`).catch(() => null);
+  return entry ? JSON.parse(entry.body) : undefined;
+}
+
+// tafFrom: station whose TAF was borrowed for the forecast, if any
+// -> [{ key, type, icaoId, name, cat, qualifier, hourIso, message }]
+function stationAlertConditions(icaoId, metar, taf, tafFrom = null) {
+  const out = [];
+  const name = findStation(icaoId)?.name || metar?.name || icaoId;
+
+  if (metar) {
+    const [obs] = decodedMetarsFrom(new Map([[icaoId, metar]]), null);
+    // A stale report says nothing about now
+    const cat = obs && !isStaleObs(obs.obsTime) ? obs.flightCategory : null;
+    if (cat === "ifr" || cat === "lifr") {
+      out.push({
+        key: `now:${icaoId}:${cat}`,
+        type: "now", icaoId, name, cat, qualifier: null, hourIso: null,
+        message: `${name}: ${cat.toUpperCase()} now`
+      });
+    }
+  }
+
+  if (taf) {
+    const [t] = tafTimelinesFrom(new Map([[tafFrom || icaoId, taf]]), ALERT_LOOKAHEAD_HOURS, null);
+    for (const h of t?.timeline || []) {
+      const { cat, qualifier } = h.peak;
+      if (cat !== "ifr" && cat !== "lifr") continue;
+
+      out.push({
+        key: `forecast:${icaoId}:${cat}${qualifier ? `:${qualifier}` : ""}`,
+        type: "forecast", icaoId, name, cat, qualifier, hourIso: h.hourIso,
+        message: `${name}: ${qualifier ? `${qualifier} ` : ""}${cat.toUpperCase()} expected by ${h.hourIso.slice(11, 16)}Z${tafFrom ? ` (${tafFrom} TAF)` : ""}`
+      });
+      break;
+    }
+  }
+  return out;
+}
+
+// Station -> borrowed TAF station from the shared boards; the first board wins
+async function boardTafOverrides() {
+  const out = new Map();
+  for (const board of await readStore("boards", [])) {
+    for (const [from, to] of Object.entries(board.tafOverride || {})) {
+      if (!out.has(from)) out.set(from, to);
+    }
+  }
+  return out;
+}
+
+// "now IFR" for observations; a forecast is superseded by the new forecast
+function expiredReasonFor(replacement) {
+  if (!replacement) return "cleared";
+  const cat = `${replacement.qualifier ? `${replacement.qualifier} ` : ""}${replacement.cat.toUpperCase()}`;
+  return replacement.type === "forecast"
+    ? `superseded by forecast ${cat} at ${replacement.hourIso.slice(11, 16)}Z`
+    : `now ${cat}`;
+}
+
+async function runAlertEngine() {
+  const ids = [...(watchRegistry.get("awc:metar")?.ids.keys() || [])];
+  const overrides = await boardTafOverrides();
+  // Station ids per alert type whose source report is cached
+  const evaluated = { now: new Set(), forecast: new Set() };
+  const conditions = new Map();
+
+  for (const id of ids) {
+    const metar = await peekStation("awc:metar", id);
+    // Like the board: the borrowed TAF when there is one, else the station's own
+    let tafFrom = overrides.get(id) || null;
+    let taf = tafFrom ? await peekStation("awc:taf", tafFrom) : undefined;
+    if (taf == null) {
+      tafFrom = null;
+      taf = await peekStation("awc:taf", id);
+    }
+    // Nothing cached yet for a source: no basis to raise or clear its alerts
+    if (metar !== undefined) evaluated.now.add(id);
+    if (taf !== undefined) evaluated.forecast.add(id);
+    for (const c of stationAlertConditions(id, metar, taf, tafFrom)) conditions.set(c.key, c);
+  }
+
+  const now = new Date().toISOString();
+  const cutoff = Date.now() - ALERT_HISTORY_DAYS * 24 * 60 * 60 * 1000;
+
+  return updateStore("alerts", [], (alerts) => {
+    const active = new Map(alerts.filter(a => a.status === "active").map(a => [a.key, a]));
+
+    for (const a of active.values()) {
+      if (!evaluated[a.type]?.has(a.icaoId)) continue;
+      const c = conditions.get(a.key);
+      if (c) {
+        if (a.hourIso !== c.hourIso || a.message !== c.message) {
+          Object.assign(a, { hourIso: c.hourIso, message: c.message, updatedAt: now });
+        }
+        continue;
+      }
+      const replacement = [...conditions.values()].find(x => x.type === a.type && x.icaoId === a.icaoId);
+      Object.assign(a, { status: "expired", expiredAt: now, expiredReason: expiredReasonFor(replacement), updatedAt: now });
+    }
+
+    for (const c of conditions.values()) {
+      if (active.has(c.key)) continue;
+      alerts.push({
+        id: crypto.randomUUID().slice(0, 8),
+        ...c,
+        status: "active",
+        createdAt: now,
+        updatedAt: now,
+        expiredAt: null,
+        expiredReason: null,
+        ackBy: null,
+        ackAt: null
+      });
+    }
+
+    // Keep history bounded
+    for (let i = alerts.length - 1; i >= 0; i--) {
+      if (alerts[i].status === "expired" && Date.parse(alerts[i].expiredAt) < cutoff) alerts.splice(i, 1);
+    }
+  });
+}
+
+// Report changes arrive in bursts (one per station in a batch)
+let alertEngineTimer = null;
+stationEvents.on("update", () => {
+  clearTimeout(alertEngineTimer);
+  alertEngineTimer = setTimeout(() => {
+    runAlertEngine().catch(e => console.error("Alert engine failed:", e));
+  }, 2000);
+});
+
+function filterAlerts(alerts, req) {
+  const ids = normalizeIds(req.query.ids || "");
+  return ids.length ? alerts.filter(a => ids.includes(a.icaoId)) : alerts;
+}
+
+app.get("/api/alerts", async (req, res) => {
+  const status = (req.query.status || "active").toString();
+  const alerts = filterAlerts(await readStore("alerts", []), req)
+    .filter(a => status === "all" || a.status === status);
+  res.set("Cache-Control", "no-store");
+  res.json(alerts);
+});
+
+app.get("/api/alerts/history", async (req, res) => {
+  const days = Math.min(Math.max(Number(req.query.days || 7), 1), ALERT_HISTORY_DAYS);
+  const since = Date.now() - days * 24 * 60 * 60 * 1000;
+  const alerts = filterAlerts(await readStore("alerts", []), req)
+    .filter(a => Date.parse(a.updatedAt) >= since)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  res.set("Cache-Control", "no-store");
+  res.json(alerts);
+});
+
+app.post("/api/alerts/:id/ack", async (req, res) => {
+  try {
+    const by = (req.body?.by || "").toString().trim().slice(0, 60);
+    if (!by) return res.status(400).json({ error: "Missing by (who is acknowledging)" });
+
+    const result = await updateStore("alerts", [], (alerts) => {
+      const a = alerts.find(x => x.id === req.params.id);
+      if (!a) return { status: 404, body: { error: "Alert not found" } };
+      if (a.ackAt) return { status: 409, body: { error: `Already acknowledged by ${a.ackBy}`, alert: a } };
+      Object.assign(a, { ackBy: by, ackAt: new Date().toISOString() });
+      return { status: 200, body: a };
+    });
+    res.status(result.status).json(result.body);
+  } catch (e) {
+    console.error("Acknowledge alert failed:", e);
+    res.status(500).json({ error: "Acknowledge alert failed" });
+  }
+});
+
+/* ---------------------------------------------------------
+   Weather checks (dispatch audit trail)
+   A snapshot of the weather when a mission was accepted or
+   declined. Records are write-once:
+     DATA_DIR/checks.json        index (summaries, newest last)
+     DATA_DIR/checks/<id>.json   full record
+   { id, mission, decision, by, notes, stations, tafOverride,
+     createdAt,
+     snapshot: { fetchedAt, profile, metars, tafData, asosRows,
+                 categories, alerts, clientView } }
+
+   The snapshot is built here from the upstream cache for the
+   requested stations. What the browser says it showed is kept
+   only as clientView ({ fetchedAt, categories }), an
+   annotation that is never used as the record's weather.
+
+   POST /api/checks             log a check
+   GET  /api/checks?mission=    summaries, newest first
+   GET  /api/checks/:id         full record (JSON)
+   GET  /checks/:id             printable view
+--------------------------------------------------------- */
+const CHECK_DECISIONS = ["accepted", "declined"];
+const CHECK_ID_RE = /^[0-9a-f]{8}$/;
+const CHECK_MAX_STATIONS = 60;
+const CHECK_TAF_HOURS = 12;
+
+const asList = (v) => (Array.isArray(v) ? v : []);
+const shortText = (v, max) => (typeof v === "string" ? v.trim().slice(0, max) || null : null);
+
+function validateCheck(body) {
+  const mission = (body.mission || "").toString().trim().slice(0, 40);
+  const decision = (body.decision || "").toString().trim().toLowerCase();
+  const by = (body.by || "").toString().trim().slice(0, 60) || null;
+  const notes = (body.notes || "").toString().trim().slice(0, 1000) || null;
+  const profileId = (body.profile || "").toString().trim();
+  const profile = getMinimumsProfile(profileId);
+  const rawStations = asList(body.stations);
+
+  if (!mission) return { error: "Missing mission" };
+  if (!CHECK_DECISIONS.includes(decision)) return { error: `decision must be one of ${CHECK_DECISIONS.join(", ")}` };
+  if (rawStations.some(id => typeof id !== "string")) return { error: "stations must be a list of station ids" };
+  const stations = normalizeIds(rawStations);
+  if (!stations.length) return { error: "Missing stations" };
+  if (stations.length > CHECK_MAX_STATIONS) return { error: `At most ${CHECK_MAX_STATIONS} stations per check` };
+  const invalid = stations.find(id => !ICAO_RE.test(id));
+  if (invalid) return { error: `Invalid station id: ${invalid}` };
+  if (profileId && !profile) return { error: `Unknown minimums profile: ${profileId}` };
+
+  const { tafOverride, error } = parseTafOverride(body.tafOverride);
+  if (error) return { error };
+  for (const id of Object.keys(tafOverride)) if (!stations.includes(id)) delete tafOverride[id];
+
+  // Only what the board displayed, as plain strings
+  const view = body.clientView && typeof body.clientView === "object" ? body.clientView : {};
+  const clientView = {
+    fetchedAt: shortText(view.fetchedAt, 40),
+    categories: asList(view.categories).slice(0, CHECK_MAX_STATIONS).map(c => ({
+      icaoId: shortText(c?.icaoId, 8)?.toUpperCase() || null,
+      cat: shortText(c?.cat, 8),
+      status: shortText(c?.status, 12)
+    })).filter(c => c.icaoId && stations.includes(c.icaoId))
+  };
+
+  return { check: { mission, decision, by, notes, stations, tafOverride }, profile, clientView };
+}
+
+async function buildCheckSnapshot(ids, profile, tafOverride) {
+  const tafIds = normalizeIds([...ids, ...Object.values(tafOverride)]);
+  const [metarRes, tafRes, asosRes, alertsRes] = await Promise.allSettled([
+    getAwcMetars(ids),
+    getAwcTafs(tafIds),
+    getAsosRowsFor(resolveAsosStations(ids)),
+    readStore("alerts", [])
+  ]);
+  // Same rule as the briefing: ASOS can stand in for missing METARs
+  if (metarRes.status === "rejected" && asosRes.status === "rejected") {
+    throw new UpstreamError("METAR and ASOS upstreams failed", {
+      metarError: metarRes.reason?.message || String(metarRes.reason),
+      asosError: asosRes.reason?.message || String(asosRes.reason)
+    });
+  }
+
+  const now = Date.now();
+  const metars = metarRes.status === "fulfilled" ? decodedMetarsFrom(metarRes.value.items, profile) : [];
+  const tafData = tafRes.status === "fulfilled" ? tafTimelinesFrom(tafRes.value.items, CHECK_TAF_HOURS, profile) : [];
+  const asosItems = asosRes.status === "fulfilled" ? asosRes.value.items : new Map();
+  const asosRows = ids
+    .filter(id => asosItems.get(id)?.length)
+    .map(id => ({ ...latestAsosRow(asosItems.get(id), profile), icaoId: id }));
+  const alerts = alertsRes.status === "fulfilled"
+    ? alertsRes.value.filter(a => a.status === "active" && ids.includes(a.icaoId))
+    : [];
+
+  const categories = ids.map(icaoId => {
+    const metar = metars.find(m => m.icaoId === icaoId) || null;
+    const obs = currentObs(metar, asosRows.find(r => r.icaoId === icaoId) || null, now);
+    return {
+      icaoId,
+      name: findStation(icaoId)?.name || metar?.name || icaoId,
+      cat: obs?.cat || "unk",
+      status: obs?.minimums?.status || null,
+      source: obs?.source || null,
+      tafFrom: tafOverride[icaoId] || null
+    };
+  });
+
+  const storedAt = metarRes.status === "fulfilled" ? metarRes.value.storedAt : asosRes.value.storedAt;
+  return {
+    fetchedAt: new Date(storedAt || now).toISOString(),
+    profile: profile?.id || null,
+    metars,
+    tafData,
+    asosRows,
+    categories,
+    alerts
+  };
+}
+
+const checkSummary = ({ id, mission, decision, by, stations, createdAt, snapshot }) =>
+  ({ id, mission, decision, by, stations, createdAt, fetchedAt: snapshot.fetchedAt });
+
+async function readCheck(id) {
+  return CHECK_ID_RE.test(id) ? readStore(`checks/${id}`, null) : null;
+}
+
+app.post("/api/checks", async (req, res) => {
+  try {
+    const { check, profile, clientView, error } = validateCheck(req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    const snapshot = { ...(await buildCheckSnapshot(check.stations, profile, check.tafOverride)), clientView };
+    const record = { id: crypto.randomUUID().slice(0, 8), ...check, snapshot, createdAt: new Date().toISOString() };
+    await writeStore(`checks/${record.id}`, record);
+    await updateStore("checks", [], (index) => { index.push(checkSummary(record)); });
+    res.status(201).json(checkSummary(record));
+  } catch (e) {
+    if (e instanceof UpstreamError) return res.status(502).json({ error: e.message, ...e.details });
+    console.error("Log weather check failed:", e);
+    res.status(500).json({ error: "Log weather check failed" });
+  }
+});
+
+app.get("/api/checks", async (req, res) => {
+  const mission = (req.query.mission || "").toString().trim();
+  const limit = Math.min(Math.max(parseInt(req.query.limit || "50", 10) || 50, 1), 500);
+  const index = await readStore("checks", []);
+  res.set("Cache-Control", "no-store");
+  res.json(index.filter(c => !mission || c.mission === mission).reverse().slice(0, limit));
+});
+
+app.get("/api/checks/:id", async (req, res) => {
+  const check = await readCheck(req.params.id);
+  if (!check) return res.status(404).json({ error: "Weather check not found" });
+  res.json(check);
+});
+
+function escapeHtml(s) {
+  return String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" })[c]);
+}
+
+const fmtUtc = (iso) => (iso ? `${new Date(iso).toISOString().slice(0, 16).replace("T", " ")}Z` : "—");
+const fmtNum = (v, unit) => (typeof v === "number" ? `${v}${unit}` : "—");
+
+function renderCheckStation(id, snapshot) {
+  const cat = snapshot.categories.find(c => c.icaoId === id) || {};
+  const tafId = cat.tafFrom || id;
+  const metar = snapshot.metars.find(m => normalizeIds([m.icaoId || ""])[0] === id);
+  const taf = snapshot.tafData.find(t => normalizeIds([t.icaoId || ""])[0] === tafId);
+  // Older snapshots only have IEM's station id
+  const asos = snapshot.asosRows.find(r => (r.icaoId ? r.icaoId === id : r.station === resolveIemStation(id).station));
+  const alerts = snapshot.alerts.filter(a => a.icaoId === id);
+  const shown = asList(snapshot.clientView?.categories).find(c => normalizeIds([c.icaoId || ""])[0] === id);
+
+  const rows = asList(taf?.timeline).slice(0, 12).map(h => `
+        <tr><td>${escapeHtml(fmtUtc(h.hourIso))}</td><td>${escapeHtml((h.cat || "unk").toUpperCase())}</td>
+        <td>${escapeHtml(fmtNum(h.vis, " sm"))}</td><td>${escapeHtml(fmtNum(h.ceil, " ft"))}</td>
+        <td>${escapeHtml(h.worst ? `${h.worst.type || ""} ${(h.worst.cat || "").toUpperCase()}` : "")}</td></tr>`).join("");
+
+  return `
+    <section>
+      <h2>${escapeHtml(id)} ${escapeHtml(cat.name || metar?.name || "")}
+        <span class="cat">${escapeHtml((cat.cat || metar?.flightCategory || "unk").toUpperCase())}</span>
+        ${cat.status ? `<span class="cat">${escapeHtml(cat.status.toUpperCase())}</span>` : ""}</h2>
+      <div class="label">METAR ${escapeHtml(fmtUtc(metar?.obsTime))}</div>
+      <pre>${escapeHtml(metar?.raw || "No METAR")}</pre>
+      <div class="label">TAF${cat.tafFrom ? ` — borrowed from ${escapeHtml(cat.tafFrom)}` : ""}</div>
+      <pre>${escapeHtml(taf?.rawTAF || "No TAF")}</pre>
+      ${rows ? `<table><tr><th>Hour</th><th>Cat</th><th>Vis</th><th>Ceil</th><th>Temporary</th></tr>${rows}</table>` : ""}
+      <div class="label">ASOS ${escapeHtml(fmtUtc(asos?.validUtc))}</div>
+      <div>${asos ? `Vis ${escapeHtml(fmtNum(asos.vsby, " sm"))} · Ceil ${escapeHtml(fmtNum(asosCeiling(asos), " ft"))} · Wind ${escapeHtml(fmtNum(asos.sped, " kt"))}${asos.gust ? ` G${escapeHtml(asos.gust)}` : ""}` : "No ASOS"}</div>
+      ${alerts.length ? `<div class="label">Alerts</div><ul>${alerts.map(a => `<li>${escapeHtml(a.message || `${a.type} ${a.cat}`)}</li>`).join("")}</ul>` : ""}
+      ${shown ? `<div class="note">Board showed ${escapeHtml((shown.cat || "unk").toUpperCase())}${shown.status ? ` · ${escapeHtml(shown.status.toUpperCase())}` : ""} (reported by the browser)</div>` : ""}
+    </section>`;
+}
+
+function renderCheckHtml(check) {
+  const s = check.snapshot;
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>Weather check ${escapeHtml(check.mission)}</title>
+  <style>
+    body{ font: 13px/1.4 system-ui, sans-serif; color:#111; margin:24px; }
+    h1{ font-size:18px; margin:0 0 4px; }
+    h2{ font-size:15px; margin:18px 0 4px; border-top:1px solid #999; padding-top:8px; }
+    .meta{ margin-bottom:4px; }
+    .label{ font-weight:700; margin-top:6px; }
+    .note{ color:#555; font-size:12px; margin-top:4px; }
+    .cat{ border:1px solid #333; border-radius:4px; padding:0 4px; font-size:12px; margin-left:6px; }
+    pre{ white-space:pre-wrap; margin:2px 0; font-size:12px; }
+    table{ border-collapse:collapse; margin-top:4px; }
+    td, th{ border:1px solid #bbb; padding:1px 6px; font-size:12px; text-align:left; }
+    section{ break-inside:avoid; }
+    @media print{ body{ margin:0; } }
+  </style>
+</head>
+<body>
+  <h1>Weather check — mission ${escapeHtml(check.mission)}: ${escapeHtml(check.decision.toUpperCase())}</h1>
+  <div class="meta">Logged ${escapeHtml(fmtUtc(check.createdAt))}${check.by ? ` by ${escapeHtml(check.by)}` : ""} · data fetched ${escapeHtml(fmtUtc(s.fetchedAt))}${s.profile ? ` · minimums ${escapeHtml(s.profile)}` : ""} · record ${escapeHtml(check.id)}</div>
+  ${check.notes ? `<div class="meta">Notes: ${escapeHtml(check.notes)}</div>` : ""}
+  ${check.stations.map(id => renderCheckStation(id, s)).join("")}
+</body>
+</html>`;
+}
+
+app.get("/checks/:id", async (req, res) => {
+  const check = await readCheck(req.params.id);
+  if (!check) return res.status(404).type("text/plain").send("Weather check not found");
+  res.type("html").send(renderCheckHtml(check));
+});
+
+/* ---------------------------------------------------------
+   Printable briefing
+   Current state of a station list on one page:
+     GET /briefing?ids=&profile=&tafFrom=       print-optimized HTML
+     GET /briefing.pdf?ids=&profile=&tafFrom=   same content as PDF
+   The PDF is drawn with pdfkit in-process (no browser).
+   Each station: category, observation source (METAR, or ASOS
+   when there is no METAR) and its age, raw METAR/TAF, a 24h
+   TAF category strip and the alert engine's active alerts.
+   tafFrom=KWRI:KACY,... are the board's TAF overrides; like
+   the board, a borrowed TAF is used (and labelled) when it's
+   available, else the station's own.
+--------------------------------------------------------- */
+const BRIEFING_HOURS = 24;
+const BRIEFING_MAX_STATIONS = 20;
+const CAT_COLORS = { vfr: "#00c853", mvfr: "#2979ff", ifr: "#ff5252", lifr: "#c2185b", unk: "#616161" };
+
+const minutesAgo = (iso, now) => (iso ? Math.max(0, Math.round((now - Date.parse(iso)) / 60000)) : null);
+
+// Freshest usable report of a decoded METAR and latest ASOS row;
+// a stale one is returned but sets no category
+function currentObs(metar, asos, now = Date.now()) {
+  const metarObs = metar && {
+    source: "METAR",
+    time: metar.obsTime,
+    cat: metar.flightCategory,
+    reasons: metar.categoryReasons,
+    vis: metar.visibility?.sm ?? null,
+    ceil: metar.ceilingFt,
+    ceilState: metar.ceilingState,
+    wind: metar.wind ? { dir: metar.wind.variable ? "VRB" : metar.wind.dirDeg, speed: metar.wind.speedKt, gust: metar.wind.gustKt } : null,
+    minimums: metar.minimums || null
+  };
+  const asosObs = asos && {
+    source: "ASOS",
+    time: asos.validUtc,
+    cat: asos.flightCategory,
+    reasons: asos.categoryReasons,
+    vis: asos.vsby,
+    ceil: asos.ceilingFt,
+    ceilState: asos.ceilingState,
+    wind: typeof asos.sped === "number" ? { dir: asos.wdir, speed: asos.sped, gust: asos.gust } : null,
+    minimums: asos.minimums || null
+  };
+
+  const candidates = [metarObs, asosObs].filter(Boolean);
+  const obs = candidates.find(o => !isStaleObs(o.time, now)) || candidates[0] || null;
+  return obs && isStaleObs(obs.time, now) ? { ...obs, cat: "unk", minimums: null, stale: true } : obs;
+}
+
+async function buildBriefing(ids, profile, tafOverride = {}) {
+  const [metarRes, tafRes, asosRes, alertsRes] = await Promise.allSettled([
+    getAwcMetars(ids),
+    getAwcTafs(normalizeIds([...ids, ...Object.values(tafOverride)])),
+    getAsosRowsFor(resolveAsosStations(ids)),
+    readStore("alerts", [])
+  ]);
+  // ASOS can stand in for missing METARs; with neither there is nothing to brief
+  if (metarRes.status === "rejected" && asosRes.status === "rejected") {
+    throw new UpstreamError("METAR and ASOS upstreams failed", {
+      metarError: metarRes.reason?.message || String(metarRes.reason),
+      asosError: asosRes.reason?.message || String(asosRes.reason)
+    });
+  }
+
+  const now = Date.now();
+  const metars = metarRes.status === "fulfilled" ? decodedMetarsFrom(metarRes.value.items, profile) : [];
+  const tafs = tafRes.status === "fulfilled" ? tafTimelinesFrom(tafRes.value.items, BRIEFING_HOURS, profile) : [];
+  const asosItems = asosRes.status === "fulfilled" ? asosRes.value.items : new Map();
+  const alerts = alertsRes.status === "fulfilled" ? alertsRes.value.filter(a => a.status === "active") : [];
+
+  const stations = ids.map(icaoId => {
+    const metar = metars.find(m => m.icaoId === icaoId) || null;
+    const rows = asosItems.get(icaoId);
+    const asos = rows?.length ? latestAsosRow(rows, profile) : null;
+    const borrowed = tafOverride[icaoId] ? tafs.find(t => t.icaoId === tafOverride[icaoId] && t.timeline.length) : null;
+    const taf = borrowed || tafs.find(t => t.icaoId === icaoId) || null;
+    const obs = currentObs(metar, asos, now);
+
+    return {
+      icaoId,
+      name: findStation(icaoId)?.name || metar?.name || icaoId,
+      obs: obs && { ...obs, ageMinutes: minutesAgo(obs.time, now) },
+      rawMetar: metar?.raw || null,
+      rawTaf: taf?.rawTAF || null,
+      tafFrom: borrowed ? borrowed.icaoId : null,
+      tafError: tafRes.status === "rejected" ? "TAF unavailable" : taf?.parseError || null,
+      timeline: (taf?.timeline || []).map(h => ({ hourIso: h.hourIso, ...h.peak })),
+      alerts: alerts.filter(a => a.icaoId === icaoId).map(a => a.message)
+    };
+  });
+
+  const storedAt = (r) => (r.status === "fulfilled" && r.value.storedAt ? new Date(r.value.storedAt).toISOString() : null);
+  return {
+    generatedAt: new Date(now).toISOString(),
+    profile: profile?.id || null,
+    dataAsOf: { metar: storedAt(metarRes), taf: storedAt(tafRes), asos: storedAt(asosRes) },
+    stations
+  };
+}
+
+function parseBriefingQuery(req) {
+  const ids = normalizeIds(req.query.ids || "");
+  const profileId = (req.query.profile || "").toString().trim();
+  const profile = getMinimumsProfile(profileId);
+  if (!ids.length) return { error: "Missing ids=..." };
+  if (ids.length > BRIEFING_MAX_STATIONS) return { error: `At most ${BRIEFING_MAX_STATIONS} stations per briefing` };
+  if (profileId && !profile) return { error: `Unknown minimums profile: ${profileId}` };
+
+  const pairs = (req.query.tafFrom || "").toString().split(",").filter(Boolean).map(p => p.split(":"));
+  if (pairs.some(p => p.length !== 2 || !p[0] || !p[1])) return { error: "tafFrom must be STATION:TAFSTATION" };
+  const { tafOverride, error } = parseTafOverride(Object.fromEntries(pairs));
+  if (error) return { error };
+  return { ids, profile, tafOverride };
+}
+
+const fmtAge = (m) => (m == null ? "—" : m < 60 ? `${m} min` : `${Math.floor(m / 60)} h ${m % 60} min`);
+
+function fmtObs(obs) {
+  if (!obs) return "No METAR or ASOS in 24h";
+  const wind = obs.wind
+    ? `${obs.wind.dir ?? "—"}° ${obs.wind.speed ?? "—"} kt${obs.wind.gust ? ` G${obs.wind.gust}` : ""}`
+    : "—";
+  const status = obs.stale
+    ? ` · STALE (over ${OBS_STALE_MIN} min), not used for category`
+    : obs.minimums?.status ? ` · ${obs.minimums.status.toUpperCase()}` : "";
+  const ceil = obs.ceil != null ? fmtNum(obs.ceil, " ft") : obs.ceilState === "unlimited" ? "none" : "not reported";
+  const vis = obs.vis != null ? fmtNum(obs.vis, " sm") : "not reported";
+  const reasons = !obs.stale && obs.cat === "unk" && obs.reasons?.length ? ` · UNK: ${obs.reasons.join(", ")}` : "";
+  return `${obs.source} ${fmtUtc(obs.time)} (${fmtAge(obs.ageMinutes)} old) · Vis ${vis} · Ceil ${ceil} · Wind ${wind}${status}${reasons}`;
+}
+
+function renderBriefingHtml(b, pdfHref) {
+  const stations = b.stations.map(s => {
+    const cat = s.obs?.cat || "unk";
+    const strip = s.timeline.map(h => `<td class="strip-cell" style="background:${CAT_COLORS[h.cat] || CAT_COLORS.unk}" title="${escapeHtml(fmtUtc(h.hourIso))} ${escapeHtml(h.cat.toUpperCase())}${h.qualifier ? ` (${escapeHtml(h.qualifier)})` : ""}">${new Date(h.hourIso).getUTCHours() % 3 === 0 ? escapeHtml(h.hourIso.slice(11, 13)) : ""}</td>`).join("");
+    return `
+    <section>
+      <h2>${escapeHtml(s.icaoId)} ${escapeHtml(s.name)} <span class="cat" style="background:${CAT_COLORS[cat] || CAT_COLORS.unk}">${escapeHtml(cat.toUpperCase())}</span></h2>
+      <div class="meta">${escapeHtml(fmtObs(s.obs))}</div>
+      <pre>${escapeHtml(s.rawMetar || "No METAR")}</pre>
+      ${s.tafFrom ? `<div class="meta">Forecast borrowed from TAF ${escapeHtml(s.tafFrom)}</div>` : ""}
+      <pre>${escapeHtml(s.rawTaf || s.tafError || "No TAF")}</pre>
+      ${strip ? `<table class="strip"><tr>${strip}</tr></table>` : ""}
+      ${s.alerts.length ? `<ul class="alerts">${s.alerts.map(a => `<li>${escapeHtml(a)}</li>`).join("")}</ul>` : ""}
+    </section>`;
+  }).join("");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>Weather briefing ${escapeHtml(fmtUtc(b.generatedAt))}</title>
+  <style>
+    @page{ size: letter; margin: 12mm; }
+    body{ font: 12px/1.35 system-ui, sans-serif; color:#111; margin:24px; }
+    h1{ font-size:17px; margin:0 0 4px; }
+    h2{ font-size:14px; margin:10px 0 2px; border-top:1px solid #999; padding-top:6px; }
+    .meta{ color:#333; }
+    .cat{ color:#fff; border-radius:4px; padding:0 5px; font-size:11px; margin-left:6px; }
+    pre{ white-space:pre-wrap; margin:2px 0; font-size:11px; }
+    .strip{ border-collapse:collapse; width:100%; table-layout:fixed; margin-top:3px; }
+    .strip-cell{ height:12px; font-size:9px; color:#fff; padding:0 2px; border:1px solid #fff;
+      -webkit-print-color-adjust:exact; print-color-adjust:exact; }
+    .cat{ -webkit-print-color-adjust:exact; print-color-adjust:exact; }
+    .alerts{ margin:3px 0 0; padding-left:18px; color:#b00020; font-weight:600; }
+    .toolbar{ margin-bottom:10px; }
+    section{ break-inside:avoid; }
+    @media print{ body{ margin:0; } .toolbar{ display:none; } }
+  </style>
+</head>
+<body>
+  <div class="toolbar"><button onclick="window.print()">Print</button> <a href="${escapeHtml(pdfHref)}">Download PDF</a></div>
+  <h1>Weather briefing — ${escapeHtml(fmtUtc(b.generatedAt))}</h1>
+  <div class="meta">Data as of METAR ${escapeHtml(fmtUtc(b.dataAsOf.metar))} · TAF ${escapeHtml(fmtUtc(b.dataAsOf.taf))} · ASOS ${escapeHtml(fmtUtc(b.dataAsOf.asos))}${b.profile ? ` · minimums ${escapeHtml(b.profile)}` : ""}</div>
+  ${stations}
+</body>
+</html>`;
+}
+
+function renderBriefingPdf(b) {
+  const doc = new PDFDocument({ size: "LETTER", margin: 36, info: { Title: `Weather briefing ${fmtUtc(b.generatedAt)}` } });
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  doc.font("Helvetica-Bold").fontSize(14).text(`Weather briefing — ${fmtUtc(b.generatedAt)}`);
+  doc.font("Helvetica").fontSize(8).fillColor("#333")
+    .text(`Data as of METAR ${fmtUtc(b.dataAsOf.metar)} · TAF ${fmtUtc(b.dataAsOf.taf)} · ASOS ${fmtUtc(b.dataAsOf.asos)}${b.profile ? ` · minimums ${b.profile}` : ""}`);
+
+  for (const s of b.stations) {
+    if (doc.y > bottom - 90) doc.addPage();
+    doc.moveDown(0.5);
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).strokeColor("#999").lineWidth(0.5).stroke();
+    doc.moveDown(0.3);
+
+    const cat = s.obs?.cat || "unk";
+    const titleY = doc.y;
+    doc.font("Helvetica-Bold").fontSize(10).fillColor("#111").text(`${s.icaoId} ${s.name}`, left, titleY, { continued: false });
+    const badgeX = left + doc.widthOfString(`${s.icaoId} ${s.name}`) + 8;
+    doc.rect(badgeX, titleY - 1, 30, 11).fill(CAT_COLORS[cat] || CAT_COLORS.unk);
+    doc.fillColor("#fff").fontSize(7).text(cat.toUpperCase(), badgeX, titleY + 1, { width: 30, align: "center" });
+    doc.x = left;
+    doc.y = titleY + 12;
+
+    doc.font("Helvetica").fontSize(8).fillColor("#333").text(fmtObs(s.obs), left, doc.y, { width });
+    doc.font("Courier").fontSize(7.5).fillColor("#111")
+      .text(s.rawMetar || "No METAR", { width })
+      .text(s.rawTaf || s.tafError || "No TAF", { width });
+    if (s.tafFrom) {
+      doc.font("Helvetica").fontSize(7.5).fillColor("#333").text(`Forecast borrowed from TAF ${s.tafFrom}`, { width });
+    }
+
+    if (s.timeline.length) {
+      const y = doc.y + 2;
+      const cell = width / s.timeline.length;
+      s.timeline.forEach((h, i) => {
+        doc.rect(left + i * cell, y, cell - 1, 10).fill(CAT_COLORS[h.cat] || CAT_COLORS.unk);
+        if (new Date(h.hourIso).getUTCHours() % 3 === 0) {
+          doc.fillColor("#fff").font("Helvetica").fontSize(6).text(h.hourIso.slice(11, 13), left + i * cell + 1, y + 2, { lineBreak: false });
+        }
+      });
+      doc.x = left;
+      doc.y = y + 12;
+    }
+
+    if (s.alerts.length) {
+      doc.font("Helvetica-Bold").fontSize(8).fillColor("#b00020");
+      s.alerts.forEach(a => doc.text(`• ${a}`, left, doc.y, { width }));
+    }
+  }
+
+  doc.end();
+  return doc;
+}
+
+app.get("/briefing", async (req, res) => {
+  try {
+    const { ids, profile, tafOverride, error } = parseBriefingQuery(req);
+    if (error) return res.status(400).type("text/plain").send(error);
+
+    const briefing = await buildBriefing(ids, profile, tafOverride);
+    const pdfHref = `/briefing.pdf?${new URLSearchParams(req.query).toString()}`;
+    res.set("Cache-Control", "no-store");
+    res.type("html").send(renderBriefingHtml(briefing, pdfHref));
+  } catch (e) {
+    if (e instanceof UpstreamError) return res.status(502).type("text/plain").send(e.message);
+    console.error("Briefing failed:", e);
+    res.status(500).type("text/plain").send("Briefing failed");
+  }
+});
+
+app.get("/briefing.pdf", async (req, res) => {
+  try {
+    const { ids, profile, tafOverride, error } = parseBriefingQuery(req);
+    if (error) return res.status(400).type("text/plain").send(error);
+
+    const briefing = await buildBriefing(ids, profile, tafOverride);
+    const stamp = briefing.generatedAt.slice(0, 16).replace(/[-:]/g, "").replace("T", "-");
+    res.set("Cache-Control", "no-store");
+    res.type("application/pdf");
+    res.set("Content-Disposition", `inline; filename="briefing-${stamp}Z.pdf"`);
+    renderBriefingPdf(briefing).pipe(res);
+  } catch (e) {
+    if (e instanceof UpstreamError) return res.status(502).type("text/plain").send(e.message);
+    console.error("Briefing PDF failed:", e);
+    res.status(500).type("text/plain").send("Briefing PDF failed");
   }
 });
 
@@ -513,8 +3590,18 @@ app.get("*", (req, res) => {
 
 /* ---------------------------------------------------------
    Start
+   Only when run directly; the tests (npm test) import the
+   condition and minimums logic below without listening.
 --------------------------------------------------------- */
-app.listen(PORT, HOST, () => {
-  console.log(`Server running on http://${HOST}:${PORT}`);
-  console.log(`Test:  http://${HOST}:${PORT}/api/test`);
-});
+export {
+  valueState, categoryFromConditions, conditionReasons, evaluateMinimums,
+  getMinimumsProfile, solarElevationDeg, isNight, decodeMetar, tafTimelinesFrom
+};
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  app.listen(PORT, HOST, () => {
+    console.log(`Server running on http://${HOST}:${PORT} (upstream cache: ${upstreamCache.name})`);
+    console.log(`Test:  http://${HOST}:${PORT}/api/test`);
+    startPoller();
+  });
+}
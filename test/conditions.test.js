@@ -0,0 +1,134 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  valueState, categoryFromConditions, conditionReasons, decodeMetar, tafTimelinesFrom
+} from "../server.js";
+
+const metar = (rawOb) => ({ icaoId: "KMJX", rawOb, obsTime: "2026-10-19T17:53:00Z", lat: 39.9275, lon: -74.2924 });
+
+test("valueState tells known, unlimited and missing apart", () => {
+  assert.equal(valueState(1200), "known");
+  assert.equal(valueState(0), "known");
+  assert.equal(valueState(null, true), "unlimited");
+  assert.equal(valueState(null), "missing");
+  assert.equal(valueState(NaN), "missing");
+});
+
+test("categoryFromConditions keeps IFR/LIFR from a known half", () => {
+  assert.equal(categoryFromConditions({ vis: 10, visState: "known", ceil: null, ceilState: "unlimited" }), "vfr");
+  assert.equal(categoryFromConditions({ vis: 10, visState: "known", ceil: null, ceilState: "missing" }), "unk");
+  assert.equal(categoryFromConditions({ vis: null, visState: "missing", ceil: 700, ceilState: "known" }), "ifr");
+  assert.equal(categoryFromConditions({ vis: null, visState: "missing", ceil: 2000, ceilState: "known" }), "unk");
+  assert.equal(categoryFromConditions({ vis: null, visState: "missing", ceil: null, ceilState: "missing" }), "unk");
+});
+
+test("category boundaries", () => {
+  const cat = (vis, ceil) => categoryFromConditions({ vis, visState: "known", ceil, ceilState: "known" });
+  assert.equal(cat(10, 3000), "vfr");
+  assert.equal(cat(10, 2999), "mvfr");
+  assert.equal(cat(4.99, 5000), "mvfr");
+  assert.equal(cat(5, 5000), "vfr");
+  assert.equal(cat(10, 1000), "mvfr");
+  assert.equal(cat(10, 999), "ifr");
+  assert.equal(cat(2.99, 5000), "ifr");
+  assert.equal(cat(10, 499), "lifr");
+  assert.equal(cat(0.75, 5000), "lifr");
+});
+
+test("conditionReasons lists only missing values", () => {
+  assert.deepEqual(conditionReasons({ visState: "known", ceilState: "unlimited" }), []);
+  assert.deepEqual(conditionReasons({ visState: "missing", ceilState: "missing" }),
+    ["visibility not reported", "ceiling not reported"]);
+});
+
+test("decodeMetar: CLR is an unlimited ceiling", () => {
+  const obs = decodeMetar(metar("KMJX 191753Z 27008KT 10SM CLR 18/05 A3012"));
+  assert.equal(obs.ceilingFt, null);
+  assert.equal(obs.ceilingState, "unlimited");
+  assert.equal(obs.visibility.sm, 10);
+  assert.equal(obs.flightCategory, "vfr");
+  assert.deepEqual(obs.categoryReasons, []);
+});
+
+test("decodeMetar: few/scattered layers only are unlimited too", () => {
+  const obs = decodeMetar(metar("KMJX 191753Z 27008KT 10SM FEW020 SCT250 18/05 A3012"));
+  assert.equal(obs.ceilingState, "unlimited");
+  assert.equal(obs.flightCategory, "vfr");
+});
+
+test("decodeMetar: an omitted sky group is missing, not unlimited", () => {
+  const obs = decodeMetar(metar("KMJX 191753Z AUTO 27008KT 10SM 18/05 A3012 RMK AO2 SKYCONDITION MISSING"));
+  assert.equal(obs.ceilingFt, null);
+  assert.equal(obs.ceilingState, "missing");
+  assert.equal(obs.flightCategory, "unk");
+  assert.deepEqual(obs.categoryReasons, ["ceiling not reported"]);
+});
+
+test("decodeMetar: known low ceiling and visibility", () => {
+  const obs = decodeMetar(metar("KMJX 191753Z 00000KT 1/2SM FG OVC002 12/12 A3001"));
+  assert.equal(obs.visibility.sm, 0.5);
+  assert.equal(obs.ceilingFt, 200);
+  assert.equal(obs.ceilingState, "known");
+  assert.equal(obs.flightCategory, "lifr");
+});
+
+test("decodeMetar: vertical visibility counts as the ceiling", () => {
+  const obs = decodeMetar(metar("KMJX 191753Z 00000KT 1/4SM FG VV001 12/12 A3001"));
+  assert.equal(obs.ceilingFt, 100);
+  assert.equal(obs.flightCategory, "lifr");
+});
+
+test("decodeMetar: missing visibility with a low ceiling is still IFR", () => {
+  const obs = decodeMetar(metar("KMJX 191753Z AUTO 27008KT OVC007 12/10 A3001 RMK AO2 VISNO"));
+  assert.equal(obs.visibilityState, "missing");
+  assert.equal(obs.flightCategory, "ifr");
+  assert.deepEqual(obs.categoryReasons, ["visibility not reported"]);
+});
+
+// TAF groups are day/hour stamps, so the fixture is built around the current hour
+const pad = (n) => String(n).padStart(2, "0");
+const dh = (d) => `${pad(d.getUTCDate())}${pad(d.getUTCHours())}`;
+
+function tafFixture(body) {
+  const start = new Date();
+  start.setUTCMinutes(0, 0, 0);
+  const at = (h) => new Date(start.getTime() + h * 60 * 60 * 1000);
+  return {
+    icaoId: "KMJX",
+    issueTime: start.toISOString(),
+    lat: 39.9275,
+    lon: -74.2924,
+    rawTAF: `TAF KMJX ${dh(start)}00Z ${dh(start)}/${dh(at(24))} ${body(at)}`
+  };
+}
+
+test("tafTimelinesFrom: TEMPO sets the hour's peak, prevailing stays", () => {
+  const taf = tafFixture(at => `27010KT P6SM SCT040 TEMPO ${dh(at(2))}/${dh(at(4))} 2SM BR OVC008`);
+  const [{ timeline, source }] = tafTimelinesFrom(new Map([["KMJX", taf]]), 6, null);
+
+  assert.equal(source, "rawTAF");
+  assert.equal(timeline.length, 6);
+  assert.equal(timeline[0].cat, "vfr");
+  assert.deepEqual(timeline[0].peak, { cat: "vfr", qualifier: null });
+  assert.equal(timeline[0].ceilState, "unlimited");
+
+  assert.equal(timeline[2].cat, "vfr");
+  assert.equal(timeline[2].worst.cat, "ifr");
+  assert.deepEqual(timeline[2].peak, { cat: "ifr", qualifier: "TEMPO" });
+  assert.deepEqual(timeline[4].peak, { cat: "vfr", qualifier: null });
+});
+
+test("tafTimelinesFrom: a TEMPO without sky inherits the prevailing ceiling", () => {
+  const taf = tafFixture(at => `27010KT P6SM OVC015 TEMPO ${dh(at(1))}/${dh(at(3))} 1/2SM FG`);
+  const [{ timeline }] = tafTimelinesFrom(new Map([["KMJX", taf]]), 3, null);
+
+  assert.equal(timeline[1].cat, "mvfr");
+  assert.equal(timeline[1].worst.ceil, 1500);
+  assert.equal(timeline[1].worst.cat, "lifr");
+});
+
+test("tafTimelinesFrom: a station without a TAF has an empty timeline", () => {
+  const [out] = tafTimelinesFrom(new Map([["KN07", null]]), 6, null);
+  assert.deepEqual(out.timeline, []);
+  assert.equal(out.parseError, "No TAF returned");
+});
@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluateMinimums, getMinimumsProfile, isNight, decodeMetar } from "../server.js";
+
+// Toms River, NJ: 17Z is early afternoon, 06Z the middle of the night
+const LAT = 39.9275;
+const LON = -74.2924;
+const DAY = "2026-06-21T17:00:00Z";
+const NIGHT = "2026-06-21T06:00:00Z";
+
+// p135-local: day 800 ft / 2 sm, night 800 ft / 3 sm, marginal +300 ft / +1 sm
+const profile = getMinimumsProfile("p135-local");
+
+const evaluate = (conditions, time = DAY) =>
+  evaluateMinimums(profile, { lat: LAT, lon: LON, time, ...conditions });
+
+const known = (vis, ceil) => ({ vis, visState: "known", ceil, ceilState: "known" });
+
+test("bundled profile is the one these cases assume", () => {
+  assert.deepEqual(profile.day, { ceilFt: 800, visSm: 2 });
+  assert.deepEqual(profile.night, { ceilFt: 800, visSm: 3 });
+  assert.deepEqual(profile.marginal, { ceilFt: 300, visSm: 1 });
+});
+
+test("isNight follows civil twilight", () => {
+  assert.equal(isNight(new Date(DAY), LAT, LON), false);
+  assert.equal(isNight(new Date(NIGHT), LAT, LON), true);
+});
+
+test("ceiling boundaries: below limit, marginal band, clear of it", () => {
+  assert.equal(evaluate(known(10, 799)).status, "nogo");
+  assert.equal(evaluate(known(10, 800)).status, "marginal");
+  assert.equal(evaluate(known(10, 1099)).status, "marginal");
+  assert.equal(evaluate(known(10, 1100)).status, "go");
+});
+
+test("visibility boundaries: below limit, marginal band, clear of it", () => {
+  assert.equal(evaluate(known(1.99, 5000)).status, "nogo");
+  assert.equal(evaluate(known(2, 5000)).status, "marginal");
+  assert.equal(evaluate(known(2.99, 5000)).status, "marginal");
+  assert.equal(evaluate(known(3, 5000)).status, "go");
+});
+
+test("night switches to the night limits", () => {
+  const day = evaluate(known(2.5, 5000), DAY);
+  const night = evaluate(known(2.5, 5000), NIGHT);
+
+  assert.equal(day.period, "day");
+  assert.equal(day.status, "marginal");
+  assert.deepEqual(day.limit, profile.day);
+
+  assert.equal(night.period, "night");
+  assert.equal(night.status, "nogo");
+  assert.deepEqual(night.limit, profile.night);
+  assert.deepEqual(night.reasons, ["visibility 2.5sm below 3sm"]);
+});
+
+test("unlimited ceiling is a go; a missing one is unknown", () => {
+  assert.equal(evaluate({ vis: 10, visState: "known", ceil: null, ceilState: "unlimited" }).status, "go");
+
+  const missing = evaluate({ vis: 10, visState: "known", ceil: null, ceilState: "missing" });
+  assert.equal(missing.status, "unk");
+  assert.deepEqual(missing.reasons, ["ceiling not reported"]);
+});
+
+test("a missing value cannot hide a no-go from the other", () => {
+  const r = evaluate({ vis: null, visState: "missing", ceil: 500, ceilState: "known" });
+  assert.equal(r.status, "nogo");
+  assert.deepEqual(r.reasons, ["ceiling 500ft below 800ft"]);
+});
+
+test("a missing value turns marginal into unknown, keeping the marginal reason", () => {
+  const r = evaluate({ vis: null, visState: "missing", ceil: 900, ceilState: "known" });
+  assert.equal(r.status, "unk");
+  assert.deepEqual(r.reasons, ["visibility not reported", "ceiling 900ft near 800ft"]);
+});
+
+test("nothing reported at all is unknown", () => {
+  const r = evaluate({ vis: null, visState: "missing", ceil: null, ceilState: "missing" });
+  assert.equal(r.status, "unk");
+  assert.deepEqual(r.reasons, ["no visibility or ceiling"]);
+});
+
+test("decoded METARs feed the same evaluation", () => {
+  const obs = decodeMetar({ icaoId: "KMJX", rawOb: "KMJX 210553Z 00000KT 2 1/2SM BR BKN012 15/14 A3001" });
+  const conditions = { vis: obs.visibility.sm, visState: obs.visibilityState, ceil: obs.ceilingFt, ceilState: obs.ceilingState };
+
+  assert.equal(evaluate(conditions, DAY).status, "marginal");
+  assert.equal(evaluate(conditions, NIGHT).status, "nogo");
+});
+
+test("no profile, no evaluation", () => {
+  assert.equal(evaluateMinimums(null, known(10, 5000)), null);
+});